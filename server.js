@@ -4,10 +4,13 @@ const cors = require("cors");
 const helmet = require("helmet");
 const morgan = require("morgan");
 const connectDB = require("./src/config/db");
+const { startRecurringScheduler } = require("./src/services/recurringService");
+const { startTrashPurgeScheduler } = require("./src/services/trashService");
 
 // Route files
 const authRoutes = require("./src/routes/authRoutes");
 const transactionRoutes = require("./src/routes/transactionRoutes");
+const recurringRoutes = require("./src/routes/recurringRoutes");
 const budgetRoutes = require("./src/routes/budgetRoutes");
 const billRoutes = require("./src/routes/billRoutes");
 const aiRoutes = require("./src/routes/aiRoutes");
@@ -15,6 +18,16 @@ const reportRoutes = require("./src/routes/reportRoutes");
 const alertRoutes = require("./src/routes/alertRoutes");
 const settingsRoutes = require("./src/routes/settingsRoutes");
 const dashboardRoutes = require("./src/routes/dashboardRoutes");
+const accountRoutes = require("./src/routes/accountRoutes");
+const exchangeRateRoutes = require("./src/routes/exchangeRateRoutes");
+const tagRoutes = require("./src/routes/tagRoutes");
+const ruleRoutes = require("./src/routes/ruleRoutes");
+const trashRoutes = require("./src/routes/trashRoutes");
+const payeeRoutes = require("./src/routes/payeeRoutes");
+const viewRoutes = require("./src/routes/viewRoutes");
+const reconciliationRoutes = require("./src/routes/reconciliationRoutes");
+const templateRoutes = require("./src/routes/templateRoutes");
+const envelopeRoutes = require("./src/routes/envelopeRoutes");
 
 dotenv.config();
 
@@ -45,6 +58,7 @@ app.use(
 
 // Mount routers
 app.use("/api/auth", authRoutes);
+app.use("/api/transactions/recurring", recurringRoutes);
 app.use("/api/transactions", transactionRoutes);
 app.use("/api/budget", budgetRoutes);
 app.use("/api/bills", billRoutes);
@@ -53,6 +67,16 @@ app.use("/api/reports", reportRoutes);
 app.use("/api/alerts", alertRoutes);
 app.use("/api", settingsRoutes);
 app.use("/api/dashboard", dashboardRoutes);
+app.use("/api/accounts", accountRoutes);
+app.use("/api/exchange-rates", exchangeRateRoutes);
+app.use("/api/tags", tagRoutes);
+app.use("/api/rules", ruleRoutes);
+app.use("/api/trash", trashRoutes);
+app.use("/api/payees", payeeRoutes);
+app.use("/api/views", viewRoutes);
+app.use("/api/reconciliations", reconciliationRoutes);
+app.use("/api/transaction-templates", templateRoutes);
+app.use("/api/envelopes", envelopeRoutes);
 
 // Error Handling Middleware
 const { errorHandler } = require("./src/middleware/errorMiddleware");
@@ -62,4 +86,10 @@ const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Post due recurring transactions (rent, salary, subscriptions)
+  startRecurringScheduler();
+
+  // Permanently delete trash older than the retention period
+  startTrashPurgeScheduler();
 });
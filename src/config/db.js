@@ -1,5 +1,9 @@
 const mongoose = require("mongoose");
 
+// Queries run inside connection.transaction() join its session on their
+// own, so services don't need to pass it around
+mongoose.set("transactionAsyncLocalStorage", true);
+
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGO_URI, {
@@ -0,0 +1,194 @@
+const Account = require("../models/Account");
+const Transaction = require("../models/Transaction");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const {
+  getDefaultAccount,
+  resolveAccount,
+  withBalances,
+  getBalanceHistory,
+} = require("../services/accountService");
+
+// @desc    Create account
+// @route   POST /api/accounts
+// @access  Private
+const createAccount = asyncHandler(async (req, res) => {
+  const { name, type, openingBalance, openingDate } = req.body;
+
+  if (!name || !type) {
+    throw new ApiError(400, "Account name and type are required");
+  }
+
+  // Make sure legacy transactions are linked before adding more accounts
+  await getDefaultAccount(req.user.id);
+
+  const exists = await Account.findOne({ user: req.user.id, name });
+  if (exists) throw new ApiError(400, "Account already exists");
+
+  const account = await Account.create({
+    user: req.user.id,
+    name,
+    type,
+    openingBalance,
+    openingDate,
+  });
+
+  const [accountData] = await withBalances(req.user.id, [account]);
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, accountData, "Account created successfully"));
+});
+
+// @desc    Get all accounts with current balances
+// @route   GET /api/accounts
+// @access  Private
+const getAccounts = asyncHandler(async (req, res) => {
+  const { includeArchived } = req.query;
+
+  await getDefaultAccount(req.user.id);
+
+  const query = { user: req.user.id };
+  if (includeArchived !== "true") query.isArchived = false;
+
+  const accounts = await Account.find(query).sort({ createdAt: 1 });
+  const accountsWithBalances = await withBalances(req.user.id, accounts);
+
+  const totalBalance = accountsWithBalances.reduce(
+    (sum, account) => sum + account.balance,
+    0
+  );
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { accounts: accountsWithBalances, totalBalance },
+        "Accounts fetched successfully"
+      )
+    );
+});
+
+// @desc    Get single account with current balance
+// @route   GET /api/accounts/:id
+// @access  Private
+const getAccountById = asyncHandler(async (req, res) => {
+  const account = await resolveAccount(req.user.id, req.params.id);
+  const [accountData] = await withBalances(req.user.id, [account]);
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, accountData, "Account fetched successfully"));
+});
+
+// @desc    Update account
+// @route   PUT /api/accounts/:id
+// @access  Private
+const updateAccount = asyncHandler(async (req, res) => {
+  const account = await resolveAccount(req.user.id, req.params.id);
+  const { name, type, openingBalance, openingDate, isArchived, isDefault } =
+    req.body;
+
+  if (name && name !== account.name) {
+    const exists = await Account.findOne({ user: req.user.id, name });
+    if (exists) throw new ApiError(400, "Account already exists");
+  }
+
+  if (isArchived && (isDefault || account.isDefault)) {
+    throw new ApiError(400, "The default account cannot be archived");
+  }
+
+  account.name = name || account.name;
+  account.type = type || account.type;
+  account.openingBalance =
+    openingBalance !== undefined ? openingBalance : account.openingBalance;
+  account.openingDate = openingDate || account.openingDate;
+  account.isArchived =
+    isArchived !== undefined ? isArchived : account.isArchived;
+
+  // Only one default account per user
+  if (isDefault === true && !account.isDefault) {
+    await Account.updateMany(
+      { user: req.user.id, isDefault: true },
+      { isDefault: false }
+    );
+    account.isDefault = true;
+  }
+
+  await account.save();
+
+  const [accountData] = await withBalances(req.user.id, [account]);
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, accountData, "Account updated successfully"));
+});
+
+// @desc    Delete account (only when it has no transactions)
+// @route   DELETE /api/accounts/:id
+// @access  Private
+const deleteAccount = asyncHandler(async (req, res) => {
+  const account = await resolveAccount(req.user.id, req.params.id);
+
+  if (account.isDefault) {
+    throw new ApiError(400, "The default account cannot be deleted");
+  }
+
+  const inUse = await Transaction.exists({
+    user: req.user.id,
+    $or: [{ account: account._id }, { toAccount: account._id }],
+  });
+  if (inUse) {
+    throw new ApiError(
+      400,
+      "Account has transactions. Archive it instead of deleting"
+    );
+  }
+
+  await account.deleteOne();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Account deleted successfully"));
+});
+
+// @desc    Get running balance history of an account
+// @route   GET /api/accounts/:id/history?startDate=&endDate=&interval=day|month
+// @access  Private
+const getAccountHistory = asyncHandler(async (req, res) => {
+  const account = await resolveAccount(req.user.id, req.params.id);
+  const { startDate, endDate, interval = "day" } = req.query;
+
+  if (!["day", "month"].includes(interval)) {
+    throw new ApiError(400, "Interval must be day or month");
+  }
+
+  const history = await getBalanceHistory(req.user.id, account, {
+    startDate: startDate ? new Date(startDate) : undefined,
+    endDate: endDate ? new Date(endDate) : undefined,
+    interval,
+  });
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        account: { _id: account._id, name: account.name, type: account.type },
+        interval,
+        ...history,
+      },
+      "Balance history fetched successfully"
+    )
+  );
+});
+
+module.exports = {
+  createAccount,
+  getAccounts,
+  getAccountById,
+  updateAccount,
+  deleteAccount,
+  getAccountHistory,
+};
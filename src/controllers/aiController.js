@@ -1,24 +1,21 @@
 const Transaction = require("../models/Transaction");
-const Budget = require("../models/Budget");
 const Bill = require("../models/Bill");
 const User = require("../models/User");
 const { asyncHandler } = require("../utils/asyncHandler");
 const { ApiError } = require("../utils/ApiError");
 const { ApiResponse } = require("../utils/ApiResponse");
-
-// Helper function to get current month in YYYY-MM format
-const getCurrentMonth = () => {
-  const now = new Date();
-  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
-};
-
-// Helper function to get remaining days in current month
-const getRemainingDays = () => {
-  const now = new Date();
-  const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-  const remaining = lastDay.getDate() - now.getDate();
-  return remaining;
-};
+const { getCategoryParts, sumByCategory } = require("../utils/splits");
+const {
+  getBaseAmount,
+  SPEND_TYPES,
+  getSpendAmount,
+} = require("../utils/currency");
+const { getRemainingDays } = require("../utils/budgetPeriods");
+const {
+  findPeriodBudget,
+  getBudgetLimit,
+  getPercentageUsed,
+} = require("../services/budgetService");
 
 // Helper function to generate AI message based on risk
 const generateAIMessage = (riskLevel, percentage) => {
@@ -46,12 +43,8 @@ const getForecast = asyncHandler(async (req, res) => {
       .json(new ApiResponse(200, {}, "AI Forecast disabled in settings"));
   }
 
-  // 2. Get current month budget
-  const month = getCurrentMonth();
-  const budget = await Budget.findOne({
-    user: req.user.id,
-    month,
-  });
+  // 2. Get the budget of the current period (month by default)
+  const { period, budget } = await findPeriodBudget(req.user.id);
 
   if (!budget) {
     return res
@@ -65,13 +58,13 @@ const getForecast = asyncHandler(async (req, res) => {
       );
   }
 
-  // 3. Get last 30 days of expense transactions
+  // 3. Get last 30 days of expense transactions (and refunds)
   const thirtyDaysAgo = new Date();
   thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
   const last30DaysExpenses = await Transaction.find({
     user: req.user.id,
-    type: "expense",
+    type: { $in: SPEND_TYPES },
     date: { $gte: thirtyDaysAgo },
   });
 
@@ -83,22 +76,25 @@ const getForecast = asyncHandler(async (req, res) => {
 
   // 4. Calculate daily average
   const totalExpenses = last30DaysExpenses.reduce(
-    (sum, txn) => sum + txn.amount,
+    (sum, txn) => sum + getSpendAmount(txn),
     0
   );
   const dailyAverage = Math.round(totalExpenses / 30);
 
-  // 5. Calculate remaining days in month
-  const remainingDays = getRemainingDays();
+  // 5. Calculate remaining days in the budget period
+  const remainingDays = getRemainingDays(period.key, period.type);
 
   // 6. Predict end-of-month expenses
   const predictedExpenses = budget.spentSoFar + dailyAverage * remainingDays;
 
   // 7. Calculate difference
-  const difference = predictedExpenses - budget.monthlyBudget;
+  const difference = predictedExpenses - getBudgetLimit(budget);
 
   // 8. Determine risk level
-  const percentage = (predictedExpenses / budget.monthlyBudget) * 100;
+  const percentage = getPercentageUsed(
+    predictedExpenses,
+    getBudgetLimit(budget)
+  );
   let riskLevel = "low";
   if (percentage > 100) {
     riskLevel = "high";
@@ -113,7 +109,9 @@ const getForecast = asyncHandler(async (req, res) => {
   const forecast = {
     predictedExpenses: Math.round(predictedExpenses),
     monthlyBudget: budget.monthlyBudget,
+    budgetLimit: getBudgetLimit(budget), // in base currency
     spentSoFar: budget.spentSoFar,
+    period: period.type,
     remainingDays,
     dailyAverage,
     difference: Math.round(difference),
@@ -165,18 +163,20 @@ const getPersonality = asyncHandler(async (req, res) => {
   }
 
   // 3. Calculate Metrics
-  const totalSpending = transactions.reduce((sum, txn) => sum + txn.amount, 0);
-  const uniqueCategories = [...new Set(transactions.map((t) => t.category))];
-  const highValueCount = transactions.filter((t) => t.amount > 2000).length;
+  const totalSpending = transactions.reduce(
+    (sum, txn) => sum + getBaseAmount(txn),
+    0
+  );
+  const highValueCount = transactions.filter(
+    (t) => getBaseAmount(t) > 2000
+  ).length;
 
   // Transactions per week (approx 12 weeks in 90 days)
   const txnsPerWeek = transactions.length / 12;
 
-  // Category Breakdown
-  const categoryTotals = {};
-  transactions.forEach((t) => {
-    categoryTotals[t.category] = (categoryTotals[t.category] || 0) + t.amount;
-  });
+  // Category Breakdown (split transactions count per split)
+  const categoryTotals = sumByCategory(transactions);
+  const uniqueCategories = Object.keys(categoryTotals);
 
   const categories = Object.keys(categoryTotals)
     .map((cat) => ({
@@ -188,13 +188,9 @@ const getPersonality = asyncHandler(async (req, res) => {
   const topCategory = categories[0];
 
   // Budget Usage (for Saver type)
-  const currentMonth = getCurrentMonth();
-  const currentBudget = await Budget.findOne({
-    user: req.user.id,
-    month: currentMonth,
-  });
+  const { budget: currentBudget } = await findPeriodBudget(req.user.id);
   const budgetUsagePercent = currentBudget
-    ? (currentBudget.spentSoFar / currentBudget.monthlyBudget) * 100
+    ? getPercentageUsed(currentBudget.spentSoFar, getBudgetLimit(currentBudget))
     : 100; // Default to 100 if no budget to avoid false Saver detection
 
   // 4. Rule-Based Logic (Priority Order)
@@ -278,15 +274,17 @@ const determinePersonality = async (userId) => {
 
   if (transactions.length < 5) return null;
 
-  const totalSpending = transactions.reduce((sum, txn) => sum + txn.amount, 0);
-  const uniqueCategories = [...new Set(transactions.map((t) => t.category))];
-  const highValueCount = transactions.filter((t) => t.amount > 2000).length;
+  const totalSpending = transactions.reduce(
+    (sum, txn) => sum + getBaseAmount(txn),
+    0
+  );
+  const highValueCount = transactions.filter(
+    (t) => getBaseAmount(t) > 2000
+  ).length;
   const txnsPerWeek = transactions.length / 12;
 
-  const categoryTotals = {};
-  transactions.forEach((t) => {
-    categoryTotals[t.category] = (categoryTotals[t.category] || 0) + t.amount;
-  });
+  const categoryTotals = sumByCategory(transactions);
+  const uniqueCategories = Object.keys(categoryTotals);
 
   const categories = Object.keys(categoryTotals)
     .map((cat) => ({
@@ -298,16 +296,9 @@ const determinePersonality = async (userId) => {
   const topCategory = categories[0];
 
   // Budget Usage for Saver
-  const now = new Date();
-  const currentMonth = `${now.getFullYear()}-${String(
-    now.getMonth() + 1
-  ).padStart(2, "0")}`;
-  const currentBudget = await Budget.findOne({
-    user: userId,
-    month: currentMonth,
-  });
+  const { budget: currentBudget } = await findPeriodBudget(userId);
   const budgetUsagePercent = currentBudget
-    ? (currentBudget.spentSoFar / currentBudget.monthlyBudget) * 100
+    ? getPercentageUsed(currentBudget.spentSoFar, getBudgetLimit(currentBudget))
     : 100;
 
   if (uniqueCategories.length > 5 && txnsPerWeek > 10)
@@ -348,7 +339,7 @@ const getSuggestions = asyncHandler(async (req, res) => {
     user: userId,
     type: "expense",
     date: { $gte: thirtyDaysAgo },
-  });
+  }).populate("payee", "name");
 
   if (transactions.length === 0) {
     return res
@@ -357,10 +348,7 @@ const getSuggestions = asyncHandler(async (req, res) => {
   }
 
   const now = new Date();
-  const currentMonth = `${now.getFullYear()}-${String(
-    now.getMonth() + 1
-  ).padStart(2, "0")}`;
-  const budget = await Budget.findOne({ user: userId, month: currentMonth });
+  const { budget } = await findPeriodBudget(userId);
 
   const upcomingBills = await Bill.find({
     user: userId,
@@ -374,11 +362,11 @@ const getSuggestions = asyncHandler(async (req, res) => {
   // 3. Rule Engine
 
   // Rule 1: Category Analysis
-  const totalSpending = transactions.reduce((sum, t) => sum + t.amount, 0);
-  const categoryTotals = {};
-  transactions.forEach((t) => {
-    categoryTotals[t.category] = (categoryTotals[t.category] || 0) + t.amount;
-  });
+  const totalSpending = transactions.reduce(
+    (sum, t) => sum + getBaseAmount(t),
+    0
+  );
+  const categoryTotals = sumByCategory(transactions);
 
   Object.entries(categoryTotals).forEach(([cat, amount]) => {
     const pct = (amount / totalSpending) * 100;
@@ -395,7 +383,7 @@ const getSuggestions = asyncHandler(async (req, res) => {
 
   // Rule 2: Budget Health
   if (budget) {
-    const usage = (budget.spentSoFar / budget.monthlyBudget) * 100;
+    const usage = getPercentageUsed(budget.spentSoFar, getBudgetLimit(budget));
     if (usage > 100) {
       suggestions.push({
         title: "Spending Freeze Recommended",
@@ -458,9 +446,12 @@ const getSuggestions = asyncHandler(async (req, res) => {
   }
 
   // Rule 5: High Value
-  const highValueTxns = transactions.filter((t) => t.amount > 3000);
+  const highValueTxns = transactions.filter((t) => getBaseAmount(t) > 3000);
   if (highValueTxns.length > 1) {
-    const totalHigh = highValueTxns.reduce((sum, t) => sum + t.amount, 0);
+    const totalHigh = highValueTxns.reduce(
+      (sum, t) => sum + getBaseAmount(t),
+      0
+    );
     suggestions.push({
       title: "Large Purchase Alert",
       description: `Your large purchases this month total ${totalHigh}. Try spacing them out.`,
@@ -468,6 +459,30 @@ const getSuggestions = asyncHandler(async (req, res) => {
     });
   }
 
+  // Rule 6: Frequent Merchant (spellings of one payee count together)
+  const payeeTotals = {};
+  transactions.forEach((t) => {
+    if (!t.payee) return;
+    const key = String(t.payee._id);
+    if (!payeeTotals[key]) {
+      payeeTotals[key] = { name: t.payee.name, count: 0, amount: 0 };
+    }
+    payeeTotals[key].count += 1;
+    payeeTotals[key].amount += getBaseAmount(t);
+  });
+
+  Object.values(payeeTotals).forEach(({ name, count, amount }) => {
+    if (count >= 5 && (amount / totalSpending) * 100 > 15) {
+      suggestions.push({
+        title: `Frequent ${name} Spending`,
+        description: `You spent ${Math.round(
+          amount
+        )} at ${name} across ${count} purchases this month. Try setting a weekly limit.`,
+        reason: `Frequent purchases at ${name}`,
+      });
+    }
+  });
+
   // Rule 7: Upcoming Bills
   upcomingBills.forEach((bill) => {
     const daysLeft = Math.ceil(
@@ -521,8 +536,10 @@ const getMoodInsights = asyncHandler(async (req, res) => {
       };
     }
     moodStats[txn.mood].count++;
-    moodStats[txn.mood].categories[txn.category] =
-      (moodStats[txn.mood].categories[txn.category] || 0) + 1;
+    getCategoryParts(txn).forEach((part) => {
+      moodStats[txn.mood].categories[part.category] =
+        (moodStats[txn.mood].categories[part.category] || 0) + 1;
+    });
 
     // Group by Hour for Peak Time
     const hour = new Date(txn.date).getHours(); // Note: 'date' in DB might be 00:00:00 if just datepicker used.
@@ -624,10 +641,7 @@ const getChallenges = asyncHandler(async (req, res) => {
   });
 
   // 2. Determine Top Categories
-  const categoryTotals = {};
-  transactions.forEach((t) => {
-    categoryTotals[t.category] = (categoryTotals[t.category] || 0) + t.amount;
-  });
+  const categoryTotals = sumByCategory(transactions);
 
   const sortedExps = Object.entries(categoryTotals).sort((a, b) => b[1] - a[1]);
   const topCategories = sortedExps.slice(0, 3).map((i) => i[0]); // Top 3 categories
@@ -0,0 +1,140 @@
+const Transaction = require("../models/Transaction");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const {
+  MAX_ATTACHMENTS,
+  saveAttachment,
+  readAttachment,
+  removeAttachment,
+} = require("../services/attachmentService");
+
+// Helper to load a transaction and ensure the user owns it
+const findUserTransaction = async (req, action) => {
+  const transaction = await Transaction.findById(req.params.id);
+
+  if (!transaction) {
+    throw new ApiError(404, "Transaction not found");
+  }
+
+  if (transaction.user.toString() !== req.user.id) {
+    throw new ApiError(401, `Not authorized to ${action} this transaction`);
+  }
+
+  return transaction;
+};
+
+// Helper to find one attachment of a transaction
+const findAttachment = (transaction, attachmentId) => {
+  const attachment = transaction.attachments.id(attachmentId);
+
+  if (!attachment) {
+    throw new ApiError(404, "Attachment not found");
+  }
+
+  return attachment;
+};
+
+// @desc    Attach receipt files (images or PDFs) to a transaction
+// @route   POST /api/transactions/:id/attachments
+// @access  Private
+const addAttachments = asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    throw new ApiError(400, "Please upload at least one image or PDF file");
+  }
+
+  const transaction = await findUserTransaction(req, "update");
+
+  if (transaction.attachments.length + req.files.length > MAX_ATTACHMENTS) {
+    throw new ApiError(
+      400,
+      `A transaction can have at most ${MAX_ATTACHMENTS} attachments`
+    );
+  }
+
+  const attachments = [];
+  for (const file of req.files) {
+    attachments.push(await saveAttachment(req.user.id, file));
+  }
+
+  transaction.attachments.push(...attachments);
+  await transaction.save();
+
+  res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { attachments: transaction.attachments },
+        "Attachments added successfully"
+      )
+    );
+});
+
+// @desc    List attachments of a transaction
+// @route   GET /api/transactions/:id/attachments
+// @access  Private
+const getAttachments = asyncHandler(async (req, res) => {
+  const transaction = await findUserTransaction(req, "view");
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { attachments: transaction.attachments },
+        "Attachments fetched successfully"
+      )
+    );
+});
+
+// Helper to build a download header: an ASCII filename for old clients
+// and the UTF-8 name (RFC 5987) for the rest
+const getContentDisposition = (name) => {
+  const fallback = name.replace(/[^\x20-\x7e]/g, "_").replace(/["\\]/g, "_");
+  const encoded = encodeURIComponent(name).replace(
+    /['()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// @desc    Download an attachment
+// @route   GET /api/transactions/:id/attachments/:attachmentId
+// @access  Private
+const downloadAttachment = asyncHandler(async (req, res) => {
+  const transaction = await findUserTransaction(req, "view");
+  const attachment = findAttachment(transaction, req.params.attachmentId);
+
+  const buffer = await readAttachment(attachment);
+
+  res.setHeader("Content-Type", attachment.mimeType);
+  res.setHeader(
+    "Content-Disposition",
+    getContentDisposition(attachment.originalName)
+  );
+  res.send(buffer);
+});
+
+// @desc    Delete an attachment
+// @route   DELETE /api/transactions/:id/attachments/:attachmentId
+// @access  Private
+const deleteAttachment = asyncHandler(async (req, res) => {
+  const transaction = await findUserTransaction(req, "update");
+  const attachment = findAttachment(transaction, req.params.attachmentId);
+
+  await removeAttachment(attachment);
+  attachment.deleteOne();
+  await transaction.save();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Attachment deleted successfully"));
+});
+
+module.exports = {
+  addAttachments,
+  getAttachments,
+  downloadAttachment,
+  deleteAttachment,
+};
@@ -2,6 +2,7 @@ const Bill = require("../models/Bill");
 const { asyncHandler } = require("../utils/asyncHandler");
 const { ApiError } = require("../utils/ApiError");
 const { ApiResponse } = require("../utils/ApiResponse");
+const { getConverter } = require("../services/currencyService");
 
 // Helper function to calculate bill fields
 const calculateBillFields = (bill) => {
@@ -29,6 +30,8 @@ const calculateBillFields = (bill) => {
     _id: bill._id,
     billName: bill.billName,
     amount: bill.amount,
+    currency: bill.currency,
+    baseAmount: bill.baseAmount,
     dueDate: bill.dueDate,
     status: bill.status,
     daysLeft,
@@ -43,7 +46,7 @@ const calculateBillFields = (bill) => {
 // @route   POST /api/bills
 // @access  Private
 const createBill = asyncHandler(async (req, res) => {
-  const { billName, amount, dueDate, status } = req.body;
+  const { billName, amount, dueDate, status, currency } = req.body;
 
   if (!billName || !amount || !dueDate) {
     throw new ApiError(400, "Bill name, amount, and due date are required");
@@ -53,12 +56,16 @@ const createBill = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Amount must be greater than 0");
   }
 
+  // Convert to the base currency with the rate at the due date
+  const { convert } = await getConverter(req.user.id);
+
   const bill = await Bill.create({
     user: req.user.id,
     billName,
     amount,
     dueDate,
     status: status || "pending",
+    ...convert(amount, currency, dueDate),
   });
 
   const billData = calculateBillFields(bill);
@@ -216,9 +223,10 @@ const deleteBill = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Not authorized to delete this bill");
   }
 
-  await bill.deleteOne();
+  // Kept in the trash until restored or purged
+  await bill.softDelete();
 
-  res.status(200).json(new ApiResponse(200, {}, "Bill deleted successfully"));
+  res.status(200).json(new ApiResponse(200, {}, "Bill moved to trash"));
 });
 
 module.exports = {
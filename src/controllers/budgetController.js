@@ -1,46 +1,165 @@
 const Budget = require("../models/Budget");
-const Transaction = require("../models/Transaction");
 const { asyncHandler } = require("../utils/asyncHandler");
 const { ApiError } = require("../utils/ApiError");
 const { ApiResponse } = require("../utils/ApiResponse");
+const {
+  PERIOD_NOUNS,
+  getPeriodRange,
+  shiftPeriod,
+} = require("../utils/budgetPeriods");
+const {
+  getBudgetPeriod,
+  periodFilter,
+  calculatePeriodSpent,
+  calculateCategorySpent,
+  getCategoryUsage,
+  getBudgetLimit,
+  getPercentageUsed,
+  applyCarriedOver,
+  refreshRollover,
+  calculateBudgetHistory,
+} = require("../services/budgetService");
+const {
+  applyBudgetExchangeRate,
+  normalizeCurrency,
+} = require("../services/currencyService");
+const {
+  getEnvelopeSettings,
+  getEnvelopeSummary,
+} = require("../services/envelopeService");
 
-// Helper function to get current month in YYYY-MM format
-const getCurrentMonth = () => {
-  const now = new Date();
-  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
-};
+// Helper function to get the budget period of a `month` parameter: a
+// YYYY-MM month or a YYYY-MM-DD date within the period (current period if
+// not given). With non-monthly periods, YYYY-MM means the period the 1st
+// of that month falls in.
+const readPeriod = async (userId, month) => {
+  if (month === undefined || month === "") return getBudgetPeriod(userId);
 
-// Helper function to calculate budget fields
-const calculateBudgetFields = (budget) => {
-  const remaining = budget.monthlyBudget - budget.spentSoFar;
-  const percentageUsed = Math.round(
-    (budget.spentSoFar / budget.monthlyBudget) * 100
+  const match = /^(\d{4})-(0[1-9]|1[0-2])(?:-(0[1-9]|[12]\d|3[01]))?$/.exec(
+    month
   );
+  if (!match) {
+    throw new ApiError(400, "Month must be in YYYY-MM or YYYY-MM-DD format");
+  }
+
+  const [, year, monthNumber, day] = match;
+  return getBudgetPeriod(
+    userId,
+    new Date(Number(year), monthNumber - 1, Number(day || 1))
+  );
+};
+
+// Helper function to get the status color of a usage percentage
+const getStatusColor = (percentageUsed) => {
+  if (percentageUsed > 95) return "red";
+  if (percentageUsed > 80) return "orange";
+  if (percentageUsed > 50) return "yellow";
+  return "green";
+};
+
+// Helper function to get the alert message of a usage percentage
+const getUsageAlert = (
+  percentageUsed,
+  label = "budget",
+  periodNoun = "month"
+) => {
+  if (percentageUsed >= 100) {
+    return `Alert: You have exceeded your ${label} this ${periodNoun}.`;
+  } else if (percentageUsed >= 95) {
+    return `Alert: You have used 95%+ of your ${label}.`;
+  } else if (percentageUsed >= 80) {
+    return `Warning: You have used 80%+ of your ${label}.`;
+  } else if (percentageUsed >= 50) {
+    return `You have used ${percentageUsed}% of your ${label}. Keep going!`;
+  }
+  return `You have used ${percentageUsed}% of your ${label}. Great job!`;
+};
 
-  let statusColor = "green";
-  if (percentageUsed > 95) {
-    statusColor = "red";
-  } else if (percentageUsed > 80) {
-    statusColor = "orange";
-  } else if (percentageUsed > 50) {
-    statusColor = "yellow";
+// Helper function to read category budgets, given as a list
+// ([{ category, amount, rollover }]) or a map ({ Food: 20000 })
+const readCategories = (categories) => {
+  if (typeof categories !== "object") {
+    throw new ApiError(400, "Categories must be a list or a map of amounts");
   }
 
+  const list = Array.isArray(categories)
+    ? categories
+    : Object.entries(categories).map(([category, amount]) => ({
+        category,
+        amount,
+      }));
+
+  return list.map(({ category, amount, rollover }) => ({
+    category: category && String(category).trim(),
+    amount: Number(amount),
+    rollover: rollover === true || rollover === "true",
+  }));
+};
+
+// Helper function to calculate budget fields (spentSoFar, remaining and
+// carriedOver are in base currency; budgetLimit includes carriedOver)
+const calculateBudgetFields = (budget, categorySpent = {}) => {
+  const budgetLimit = getBudgetLimit(budget);
+  const remaining = budgetLimit - budget.spentSoFar;
+  const percentageUsed = getPercentageUsed(budget.spentSoFar, budgetLimit);
+  const statusColor = getStatusColor(percentageUsed);
+
+  const categories = getCategoryUsage(budget, categorySpent).map((usage) => ({
+    ...usage,
+    statusColor: getStatusColor(usage.percentageUsed),
+  }));
+
   return {
     month: budget.month,
+    period: budget.period,
+    ...getPeriodRange(budget.month, budget.period),
     monthlyBudget: budget.monthlyBudget,
+    currency: budget.currency,
+    rollover: budget.rollover,
+    carriedOver: budget.carriedOver,
+    budgetLimit,
     spentSoFar: budget.spentSoFar,
     remaining,
     percentageUsed,
     statusColor,
+    categories,
   };
 };
 
-// @desc    Set or Update Monthly Budget
+// Helper function to calculate budget fields with the period's category
+// spend
+const getBudgetData = async (budget) => {
+  const categorySpent =
+    budget.categories.length > 0
+      ? await calculateCategorySpent(budget.user, budget.month, budget.period)
+      : {};
+
+  return calculateBudgetFields(budget, categorySpent);
+};
+
+// Helper function to save a budget with its exchange rate and carried
+// amount, then update the periods that carry its leftover
+const saveBudget = async (userId, budget) => {
+  // The limit may be set in another currency than the base one
+  await applyBudgetExchangeRate(userId, budget);
+  await applyCarriedOver(budget);
+  await budget.save();
+
+  await refreshRollover(userId, budget.month, budget.period);
+};
+
+// @desc    Set or Update the Budget of a period (month: YYYY-MM or a date
+//          in the period, past or future, default current; categories:
+//          optional per-category budgets, replacing the current ones;
+//          rollover: carry the previous period's leftover into this one)
 // @route   POST /api/budget
 // @access  Private
 const setBudget = asyncHandler(async (req, res) => {
-  const { monthlyBudget } = req.body;
+  const { monthlyBudget, currency, categories } = req.body;
+  const rollover =
+    req.body.rollover === undefined
+      ? undefined
+      : req.body.rollover === true || req.body.rollover === "true";
 
   if (!monthlyBudget || monthlyBudget <= 0) {
     throw new ApiError(
@@ -49,50 +168,43 @@ const setBudget = asyncHandler(async (req, res) => {
     );
   }
 
-  const month = getCurrentMonth();
-
-  // Calculate spentSoFar from all expenses this month
-  const startDate = new Date(month + "-01");
-  const endDate = new Date(
-    startDate.getFullYear(),
-    startDate.getMonth() + 1,
-    0,
-    23,
-    59,
-    59,
-    999
-  );
+  const { key, type } = await readPeriod(req.user.id, req.body.month);
 
-  const expenses = await Transaction.find({
-    user: req.user.id,
-    type: "expense",
-    date: { $gte: startDate, $lte: endDate },
-  });
-
-  const spentSoFar = expenses.reduce((sum, txn) => sum + txn.amount, 0);
+  // Calculate spentSoFar from all expenses this period
+  const spentSoFar = await calculatePeriodSpent(req.user.id, key, type);
 
-  // Find or create budget
+  // Find or create budget (a budget left from another period setting with
+  // the same key is taken over)
   let budget = await Budget.findOne({
     user: req.user.id,
-    month,
+    month: key,
   });
 
   if (budget) {
     // Update existing budget
+    budget.period = type;
     budget.monthlyBudget = monthlyBudget;
     budget.spentSoFar = spentSoFar;
-    await budget.save();
+    if (currency) budget.currency = normalizeCurrency(currency);
+    if (categories) budget.categories = readCategories(categories);
+    if (rollover !== undefined) budget.rollover = rollover;
   } else {
     // Create new budget
-    budget = await Budget.create({
+    budget = new Budget({
       user: req.user.id,
-      month,
+      month: key,
+      period: type,
       monthlyBudget,
       spentSoFar,
+      currency: normalizeCurrency(currency),
+      categories: categories ? readCategories(categories) : [],
+      rollover,
     });
   }
 
-  const budgetData = calculateBudgetFields(budget);
+  await saveBudget(req.user.id, budget);
+
+  const budgetData = await getBudgetData(budget);
 
   res
     .status(200)
@@ -101,22 +213,23 @@ const setBudget = asyncHandler(async (req, res) => {
     );
 });
 
-// @desc    Get Current Month Budget
+// @desc    Get Current Period Budget (or another one with ?month=)
 // @route   GET /api/budget
 // @access  Private
 const getCurrentBudget = asyncHandler(async (req, res) => {
-  const month = getCurrentMonth();
+  const { key, type } = await readPeriod(req.user.id, req.query.month);
 
   const budget = await Budget.findOne({
     user: req.user.id,
-    month,
+    month: key,
+    ...periodFilter(type),
   });
 
   if (!budget) {
-    throw new ApiError(404, "No budget set for this month");
+    throw new ApiError(404, "No budget set for this period");
   }
 
-  const budgetData = calculateBudgetFields(budget);
+  const budgetData = await getBudgetData(budget);
 
   res
     .status(200)
@@ -129,36 +242,64 @@ const getCurrentBudget = asyncHandler(async (req, res) => {
     );
 });
 
-// @desc    Get Budget Status with Alert Messages
+// @desc    Get Budget Status with Alert Messages (and unassigned money in
+//          envelope mode)
 // @route   GET /api/budget/status
 // @access  Private
 const getBudgetStatus = asyncHandler(async (req, res) => {
-  const month = getCurrentMonth();
+  const { key, type } = await getBudgetPeriod(req.user.id);
 
   const budget = await Budget.findOne({
     user: req.user.id,
-    month,
+    month: key,
+    ...periodFilter(type),
   });
 
+  // In envelope mode, report money still waiting to be given a job
+  const { enabled: envelopeMode } = await getEnvelopeSettings(req.user.id);
+  let envelopeStatus = {};
+  if (envelopeMode) {
+    const { unassigned } = await getEnvelopeSummary(req.user.id);
+    let envelopeAlert = null;
+    if (unassigned < 0) {
+      envelopeAlert =
+        "You have assigned more money than you have. Move money out of an envelope.";
+    } else if (unassigned > 0) {
+      envelopeAlert = "You have unassigned money. Allocate it to an envelope.";
+    }
+    envelopeStatus = { unassigned, envelopeAlert };
+  }
+
   if (!budget) {
-    throw new ApiError(404, "No budget set for this month");
+    if (!envelopeMode) {
+      throw new ApiError(404, "No budget set for this period");
+    }
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { ...envelopeStatus, budget: null },
+          "Budget status fetched successfully"
+        )
+      );
   }
 
-  const budgetData = calculateBudgetFields(budget);
+  const budgetData = await getBudgetData(budget);
   const { percentageUsed, statusColor } = budgetData;
+  const periodNoun = PERIOD_NOUNS[type];
 
-  let alert = "";
-  if (percentageUsed >= 100) {
-    alert = "Alert: You have exceeded your budget this month.";
-  } else if (percentageUsed >= 95) {
-    alert = "Alert: You have used 95%+ of your budget.";
-  } else if (percentageUsed >= 80) {
-    alert = "Warning: You have used 80%+ of your budget.";
-  } else if (percentageUsed >= 50) {
-    alert = `You have used ${percentageUsed}% of your budget. Keep going!`;
-  } else {
-    alert = `You have used ${percentageUsed}% of your budget. Great job!`;
-  }
+  const alert = getUsageAlert(percentageUsed, "budget", periodNoun);
+  const categoryAlerts = budgetData.categories.map((usage) => ({
+    category: usage.category,
+    statusColor: usage.statusColor,
+    alert: getUsageAlert(
+      usage.percentageUsed,
+      `${usage.category} budget`,
+      periodNoun
+    ),
+  }));
 
   res.status(200).json(
     new ApiResponse(
@@ -166,6 +307,8 @@ const getBudgetStatus = asyncHandler(async (req, res) => {
       {
         alert,
         statusColor,
+        categoryAlerts,
+        ...envelopeStatus,
         budget: budgetData,
       },
       "Budget status fetched successfully"
@@ -173,8 +316,81 @@ const getBudgetStatus = asyncHandler(async (req, res) => {
   );
 });
 
+// @desc    Budget versus actual spend of the last N periods (months by
+//          default), with variance and the hit/miss streak
+// @route   GET /api/budget/history?periods=6
+// @access  Private
+const getBudgetHistory = asyncHandler(async (req, res) => {
+  const count = Number(req.query.periods || req.query.months) || 6;
+  const periods = Math.min(Math.max(count, 1), 24);
+
+  const history = await calculateBudgetHistory(req.user.id, periods);
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, history, "Budget history fetched successfully"));
+});
+
+// @desc    Seed the next period's budget from this period's (or the one
+//          given by month)
+// @route   POST /api/budget/copy-forward
+// @access  Private
+const copyBudgetForward = asyncHandler(async (req, res) => {
+  const { key, type } = await readPeriod(req.user.id, req.body.month);
+  const nextKey = shiftPeriod(key, 1, type);
+
+  const source = await Budget.findOne({
+    user: req.user.id,
+    month: key,
+    ...periodFilter(type),
+  });
+  if (!source) {
+    throw new ApiError(404, `No budget set for ${key}`);
+  }
+
+  const existing = await Budget.findOne({
+    user: req.user.id,
+    month: nextKey,
+  });
+  if (existing) {
+    throw new ApiError(400, `A budget for ${nextKey} already exists`);
+  }
+
+  // Limits and settings are copied; spending and carried amounts are not
+  const budget = new Budget({
+    user: req.user.id,
+    month: nextKey,
+    period: type,
+    monthlyBudget: source.monthlyBudget,
+    currency: source.currency,
+    rollover: source.rollover,
+    categories: source.categories.map(({ category, amount, rollover }) => ({
+      category,
+      amount,
+      rollover,
+    })),
+    spentSoFar: await calculatePeriodSpent(req.user.id, nextKey, type),
+  });
+
+  await saveBudget(req.user.id, budget);
+
+  const budgetData = await getBudgetData(budget);
+
+  res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { budget: budgetData },
+        `Budget copied to ${nextKey} successfully`
+      )
+    );
+});
+
 module.exports = {
   setBudget,
   getCurrentBudget,
   getBudgetStatus,
+  getBudgetHistory,
+  copyBudgetForward,
 };
@@ -1,9 +1,24 @@
 const Transaction = require("../models/Transaction");
-const Budget = require("../models/Budget");
 const Bill = require("../models/Bill");
 const { asyncHandler } = require("../utils/asyncHandler");
 const { ApiError } = require("../utils/ApiError");
 const { ApiResponse } = require("../utils/ApiResponse");
+const { categoryPartsStages } = require("../utils/splits");
+const {
+  baseAmountExpr,
+  SPEND_TYPES,
+  spendAmountExpr,
+  getSpendAmount,
+} = require("../utils/currency");
+const {
+  PERIOD_ADJECTIVES,
+  PERIOD_NOUNS,
+  getRemainingDays,
+} = require("../utils/budgetPeriods");
+const {
+  findPeriodBudget,
+  getBudgetLimit,
+} = require("../services/budgetService");
 
 // Helper to get current month date range
 const getCurrentMonthRange = () => {
@@ -46,10 +61,13 @@ const getDashboardKPIs = asyncHandler(async (req, res) => {
       $group: {
         _id: null,
         totalIncome: {
-          $sum: { $cond: [{ $eq: ["$type", "income"] }, "$amount", 0] },
+          $sum: { $cond: [{ $eq: ["$type", "income"] }, baseAmountExpr, 0] },
         },
+        // Refunds reduce expenses rather than adding to income
         totalExpenses: {
-          $sum: { $cond: [{ $eq: ["$type", "expense"] }, "$amount", 0] },
+          $sum: {
+            $cond: [{ $in: ["$type", SPEND_TYPES] }, spendAmountExpr, 0],
+          },
         },
       },
     },
@@ -57,9 +75,9 @@ const getDashboardKPIs = asyncHandler(async (req, res) => {
 
   const totals = stats[0] || { totalIncome: 0, totalExpenses: 0 };
 
-  // Get monthly budget
-  const budget = await Budget.findOne({ user: req.user.id });
-  const monthlyBudget = budget ? budget.limit : 0;
+  // Get the current period's budget (limit in base currency)
+  const { period, budget } = await findPeriodBudget(req.user.id);
+  const monthlyBudget = budget ? getBudgetLimit(budget) : 0;
 
   // Count upcoming bills (due within 7 days)
   const sevenDaysFromNow = new Date();
@@ -81,6 +99,7 @@ const getDashboardKPIs = asyncHandler(async (req, res) => {
         totalIncome: totals.totalIncome,
         totalExpenses: totals.totalExpenses,
         monthlyBudget,
+        budgetPeriod: period.type,
         upcomingBills,
       },
       "Dashboard KPIs retrieved"
@@ -110,10 +129,12 @@ const getCategorySpending = asyncHandler(async (req, res) => {
     {
       $match: {
         user: req.user._id,
-        type: "expense",
+        type: { $in: SPEND_TYPES },
         date: { $gte: startDate, $lte: endDate },
       },
     },
+    // Count split transactions under each split's category
+    ...categoryPartsStages(),
     {
       $group: {
         _id: "$category",
@@ -152,14 +173,14 @@ const getSpendingTrend = asyncHandler(async (req, res) => {
     {
       $match: {
         user: req.user._id,
-        type: "expense",
+        type: { $in: SPEND_TYPES },
         date: { $gte: startDate, $lte: endDate },
       },
     },
     {
       $group: {
         _id: { $dayOfMonth: "$date" },
-        amount: { $sum: "$amount" },
+        amount: { $sum: spendAmountExpr },
       },
     },
     {
@@ -217,42 +238,41 @@ const getAIInsights = asyncHandler(async (req, res) => {
 
   // 1. FORECAST INSIGHT
   if (user.settings.aiPreferences.forecast) {
-    const month = `${startDate.getFullYear()}-${String(
-      startDate.getMonth() + 1
-    ).padStart(2, "0")}`;
-    const budget = await Budget.findOne({ user: userId, month });
+    const { period, budget } = await findPeriodBudget(userId);
 
-    if (budget && budget.monthlyBudget > 0) {
+    if (budget && getBudgetLimit(budget) > 0) {
       const thirtyDaysAgo = new Date();
       thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
       const expenses = await Transaction.find({
         user: userId,
-        type: "expense",
+        type: { $in: SPEND_TYPES },
         date: { $gte: thirtyDaysAgo },
       });
 
       if (expenses.length > 0) {
-        const total = expenses.reduce((sum, t) => sum + t.amount, 0);
+        const total = expenses.reduce((sum, t) => sum + getSpendAmount(t), 0);
         const dailyAvg = total / 30;
-        const now = new Date();
-        const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-        const remainingDays = lastDay.getDate() - now.getDate();
+        // Same projection as /api/ai/forecast, over the budget period
+        const remainingDays = getRemainingDays(period.key, period.type);
         const predicted = budget.spentSoFar + dailyAvg * remainingDays;
-        const percentage = (predicted / budget.monthlyBudget) * 100;
+        const percentage = (predicted / getBudgetLimit(budget)) * 100;
+        const adjective = PERIOD_ADJECTIVES[period.type];
 
         let severity, message;
         if (percentage > 100) {
           severity = "high";
-          message = `Based on your current trend, you may exceed your monthly budget by ${Math.round(
+          message = `Based on your current trend, you may exceed your ${adjective} budget by ${Math.round(
             percentage - 100
           )}%.`;
         } else if (percentage > 75) {
           severity = "medium";
-          message = `You may reach your budget limit by the end of the month. Small reductions can help.`;
+          message = `You may reach your budget limit by the end of the ${
+            PERIOD_NOUNS[period.type]
+          }. Small reductions can help.`;
         } else {
           severity = "low";
-          message = `You're on track! You will comfortably stay within your monthly budget.`;
+          message = `You're on track! You will comfortably stay within your ${adjective} budget.`;
         }
 
         insights.push({
@@ -273,10 +293,11 @@ const getAIInsights = asyncHandler(async (req, res) => {
       {
         $match: {
           user: req.user._id,
-          type: "expense",
+          type: { $in: SPEND_TYPES },
           date: { $gte: startDate, $lte: endDate },
         },
       },
+      ...categoryPartsStages(),
       {
         $group: {
           _id: "$category",
@@ -293,14 +314,14 @@ const getAIInsights = asyncHandler(async (req, res) => {
         {
           $match: {
             user: req.user._id,
-            type: "expense",
+            type: { $in: SPEND_TYPES },
             date: { $gte: startDate, $lte: endDate },
           },
         },
         {
           $group: {
             _id: null,
-            total: { $sum: "$amount" },
+            total: { $sum: spendAmountExpr },
           },
         },
       ]);
@@ -327,10 +348,11 @@ const getAIInsights = asyncHandler(async (req, res) => {
       {
         $match: {
           user: req.user._id,
-          type: "expense",
+          type: { $in: SPEND_TYPES },
           date: { $gte: startDate, $lte: endDate },
         },
       },
+      ...categoryPartsStages(),
       {
         $group: {
           _id: "$category",
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const {
+  findDuplicatePairs,
+  mergeDuplicates,
+  dismissDuplicates,
+} = require("../services/duplicateService");
+
+// Helper to check a list of transaction ids from the body
+const readIds = (ids, minimum) => {
+  if (!Array.isArray(ids) || ids.length < minimum) {
+    throw new ApiError(
+      400,
+      `Please provide at least ${minimum} transaction id(s)`
+    );
+  }
+  if (!ids.every((id) => mongoose.isValidObjectId(id))) {
+    throw new ApiError(400, "Invalid transaction id");
+  }
+  return ids;
+};
+
+// @desc    Get likely duplicate transactions to review
+// @route   GET /api/transactions/duplicates
+// @access  Private
+const getDuplicates = asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.query;
+
+  const pairs = await findDuplicatePairs(req.user.id, { startDate, endDate });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { duplicates: pairs, total: pairs.length },
+        "Duplicate transactions fetched successfully"
+      )
+    );
+});
+
+// @desc    Merge duplicates: keep one transaction, move the others to the trash
+// @route   POST /api/transactions/duplicates/merge
+// @access  Private
+const mergeDuplicateTransactions = asyncHandler(async (req, res) => {
+  const { keep } = req.body;
+
+  if (!keep || !mongoose.isValidObjectId(keep)) {
+    throw new ApiError(400, "Please provide the transaction to keep");
+  }
+  const remove = readIds(req.body.remove, 1);
+
+  const transaction = await mergeDuplicates(req.user.id, keep, remove);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { transaction, removed: remove.length },
+        "Transactions merged successfully"
+      )
+    );
+});
+
+// @desc    Mark transactions as not duplicates of each other
+// @route   POST /api/transactions/duplicates/dismiss
+// @access  Private
+const dismissDuplicateTransactions = asyncHandler(async (req, res) => {
+  const ids = readIds(req.body.ids, 2);
+
+  await dismissDuplicates(req.user.id, ids);
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Transactions marked as not duplicates"));
+});
+
+module.exports = {
+  getDuplicates,
+  mergeDuplicateTransactions,
+  dismissDuplicateTransactions,
+};
@@ -0,0 +1,225 @@
+const Envelope = require("../models/Envelope");
+const EnvelopeAllocation = require("../models/EnvelopeAllocation");
+const User = require("../models/User");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const {
+  getEnvelopeSummary,
+  moveMoney,
+} = require("../services/envelopeService");
+
+// Helper to load an envelope and ensure the user owns it
+const findUserEnvelope = async (req, action) => {
+  const envelope = await Envelope.findById(req.params.id);
+
+  if (!envelope) {
+    throw new ApiError(404, "Envelope not found");
+  }
+
+  if (envelope.user.toString() !== req.user.id) {
+    throw new ApiError(401, `Not authorized to ${action} this envelope`);
+  }
+
+  return envelope;
+};
+
+// @desc    Get envelopes with balances and the unassigned pool
+// @route   GET /api/envelopes
+// @access  Private
+const getEnvelopes = asyncHandler(async (req, res) => {
+  const summary = await getEnvelopeSummary(req.user.id);
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, summary, "Envelopes fetched successfully"));
+});
+
+// @desc    Turn envelope budgeting on or off (startDate: income and
+//          spending count from this date, default today when turned on)
+// @route   PUT /api/envelopes/settings
+// @access  Private
+const updateEnvelopeSettings = asyncHandler(async (req, res) => {
+  const { enabled, startDate } = req.body;
+  const user = await User.findById(req.user.id);
+  const settings = user.settings.envelopes;
+
+  if (enabled !== undefined) {
+    settings.enabled = enabled === true || enabled === "true";
+  }
+  if (startDate !== undefined) {
+    if (isNaN(new Date(startDate).getTime())) {
+      throw new ApiError(400, "Invalid start date");
+    }
+    settings.startDate = startDate;
+  }
+  if (settings.enabled && !settings.startDate) {
+    const today = new Date();
+    settings.startDate = new Date(
+      today.getFullYear(),
+      today.getMonth(),
+      today.getDate()
+    );
+  }
+
+  await user.save();
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        await getEnvelopeSummary(req.user.id),
+        "Envelope settings updated"
+      )
+    );
+});
+
+// @desc    Create an envelope for a category
+// @route   POST /api/envelopes
+// @access  Private
+const createEnvelope = asyncHandler(async (req, res) => {
+  const category = req.body.category && String(req.body.category).trim();
+
+  if (!category) {
+    throw new ApiError(400, "Category is required");
+  }
+
+  const existing = await Envelope.findOne({
+    user: req.user.id,
+    category: {
+      $regex: `^${category.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`,
+      $options: "i",
+    },
+  });
+  if (existing) {
+    throw new ApiError(400, "This category already has an envelope");
+  }
+
+  const envelope = await Envelope.create({ user: req.user.id, category });
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, envelope, "Envelope created successfully"));
+});
+
+// @desc    Delete an envelope (its balance goes back to unassigned)
+// @route   DELETE /api/envelopes/:id
+// @access  Private
+const deleteEnvelope = asyncHandler(async (req, res) => {
+  const envelope = await findUserEnvelope(req, "delete");
+
+  await envelope.deleteOne();
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        await getEnvelopeSummary(req.user.id),
+        "Envelope deleted successfully"
+      )
+    );
+});
+
+// @desc    Allocate unassigned money to an envelope
+// @route   POST /api/envelopes/allocate
+// @access  Private
+const allocateToEnvelope = asyncHandler(async (req, res) => {
+  const { envelope, amount, note } = req.body;
+
+  if (!envelope) {
+    throw new ApiError(400, "Envelope is required");
+  }
+
+  const { allocation, summary } = await moveMoney(req.user.id, {
+    to: envelope,
+    amount,
+    note,
+  });
+
+  res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { allocation, ...summary },
+        "Money allocated successfully"
+      )
+    );
+});
+
+// @desc    Move money between envelopes (without `to`, back to unassigned)
+// @route   POST /api/envelopes/move
+// @access  Private
+const moveBetweenEnvelopes = asyncHandler(async (req, res) => {
+  const { from, to, amount, note } = req.body;
+
+  if (!from) {
+    throw new ApiError(400, "Source envelope is required");
+  }
+
+  const { allocation, summary } = await moveMoney(req.user.id, {
+    from,
+    to,
+    amount,
+    note,
+  });
+
+  res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { allocation, ...summary },
+        "Money moved successfully"
+      )
+    );
+});
+
+// @desc    Get the allocation log, newest first
+// @route   GET /api/envelopes/log?page=1&limit=20
+// @access  Private
+const getAllocationLog = asyncHandler(async (req, res) => {
+  const page = Math.max(Math.floor(Number(req.query.page)) || 1, 1);
+  const limit = Math.min(
+    Math.max(Math.floor(Number(req.query.limit)) || 20, 1),
+    100
+  );
+
+  const [allocations, total] = await Promise.all([
+    EnvelopeAllocation.find({ user: req.user.id })
+      .populate("from", "category")
+      .populate("to", "category")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    EnvelopeAllocation.countDocuments({ user: req.user.id }),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        allocations,
+        pagination: {
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+          totalAllocations: total,
+        },
+      },
+      "Allocation log fetched successfully"
+    )
+  );
+});
+
+module.exports = {
+  getEnvelopes,
+  updateEnvelopeSettings,
+  createEnvelope,
+  deleteEnvelope,
+  allocateToEnvelope,
+  moveBetweenEnvelopes,
+  getAllocationLog,
+};
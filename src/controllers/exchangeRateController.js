@@ -0,0 +1,196 @@
+const ExchangeRate = require("../models/ExchangeRate");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const { parseCSV, parseDate } = require("../services/importService");
+const {
+  normalizeCurrency,
+  getBaseCurrency,
+  recalculateBaseAmounts,
+} = require("../services/currencyService");
+
+// Helper to validate one rate entry; returns the values or an error message
+const readRate = ({ from, to, rate, date }, dateFormat) => {
+  const values = {
+    from: normalizeCurrency(from),
+    to: normalizeCurrency(to),
+    rate: Number(rate),
+    date: parseDate(date ? String(date) : "", dateFormat),
+  };
+
+  if (!values.from || !values.to || !values.rate || !values.date) {
+    return { error: "Date, from, to, and rate are required" };
+  }
+  if (values.from === values.to) {
+    return { error: "From and to currencies must differ" };
+  }
+  if (values.rate <= 0) {
+    return { error: "Rate must be greater than 0" };
+  }
+
+  return { values };
+};
+
+// Helper to upsert rates (one per pair per day)
+const upsertRates = (userId, rates, source) =>
+  ExchangeRate.bulkWrite(
+    rates.map(({ from, to, rate, date }) => ({
+      updateOne: {
+        filter: { user: userId, from, to, date },
+        update: { $set: { rate, source } },
+        upsert: true,
+      },
+    }))
+  );
+
+// @desc    Get exchange rates
+// @route   GET /api/exchange-rates
+// @access  Private
+const getExchangeRates = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  const query = { user: req.user.id };
+  if (from) query.from = normalizeCurrency(from);
+  if (to) query.to = normalizeCurrency(to);
+
+  const [rates, baseCurrency] = await Promise.all([
+    ExchangeRate.find(query).sort({ date: -1 }),
+    getBaseCurrency(req.user.id),
+  ]);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { baseCurrency, rates },
+        "Exchange rates fetched successfully"
+      )
+    );
+});
+
+// @desc    Add or update an exchange rate
+// @route   POST /api/exchange-rates
+// @access  Private
+const setExchangeRate = asyncHandler(async (req, res) => {
+  const { values, error } = readRate(req.body, req.body.dateFormat);
+  if (error) throw new ApiError(400, error);
+
+  await upsertRates(req.user.id, [values], "manual");
+
+  // Converted amounts dated on or after this rate may change
+  const converted = await recalculateBaseAmounts(req.user.id, undefined, [
+    values,
+  ]);
+
+  const rate = await ExchangeRate.findOne({
+    user: req.user.id,
+    from: values.from,
+    to: values.to,
+    date: values.date,
+  });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { rate, converted },
+        "Exchange rate saved successfully"
+      )
+    );
+});
+
+// @desc    Upload exchange rates from CSV (date, from, to, rate columns)
+// @route   POST /api/exchange-rates/upload
+// @access  Private
+const uploadExchangeRates = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ApiError(400, "Please upload a CSV file");
+  }
+
+  const { records } = parseCSV(req.file.buffer.toString("utf8"));
+
+  if (records.length === 0) {
+    throw new ApiError(400, "The CSV file has no rows to import");
+  }
+
+  // Headers are matched case-insensitively
+  const rows = records.map((record, index) => {
+    const lower = {};
+    Object.entries(record).forEach(([key, value]) => {
+      lower[key.toLowerCase()] = value;
+    });
+    return { row: index + 1, ...readRate(lower, req.body.dateFormat) };
+  });
+
+  const invalid = rows.filter((r) => r.error);
+  if (invalid.length > 0) {
+    throw new ApiError(
+      400,
+      `${invalid.length} row(s) failed validation`,
+      invalid.map(({ row, error }) => ({ row, error }))
+    );
+  }
+
+  await upsertRates(
+    req.user.id,
+    rows.map((r) => r.values),
+    "upload"
+  );
+  const converted = await recalculateBaseAmounts(
+    req.user.id,
+    undefined,
+    rows.map((r) => r.values)
+  );
+
+  res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { imported: rows.length, converted },
+        "Exchange rates imported successfully"
+      )
+    );
+});
+
+// @desc    Delete an exchange rate
+// @route   DELETE /api/exchange-rates/:id
+// @access  Private
+const deleteExchangeRate = asyncHandler(async (req, res) => {
+  const rate = await ExchangeRate.findById(req.params.id);
+
+  if (!rate) {
+    throw new ApiError(404, "Exchange rate not found");
+  }
+
+  // Ensure user owns rate
+  if (rate.user.toString() !== req.user.id) {
+    throw new ApiError(401, "Not authorized to delete this exchange rate");
+  }
+
+  await rate.deleteOne();
+
+  // Restore the rate if some amounts can no longer be converted
+  let converted;
+  try {
+    converted = await recalculateBaseAmounts(req.user.id, undefined, [rate]);
+  } catch (error) {
+    await ExchangeRate.create(rate.toObject());
+    throw error;
+  }
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, { converted }, "Exchange rate deleted successfully")
+    );
+});
+
+module.exports = {
+  getExchangeRates,
+  setExchangeRate,
+  uploadExchangeRates,
+  deleteExchangeRate,
+};
@@ -0,0 +1,171 @@
+const { asyncHandler } = require("../utils/asyncHandler");
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const {
+  IMPORT_FIELDS,
+  parseCSV,
+  resolveMapping,
+  mapRecord,
+  mapStatementEntry,
+  markDuplicateRows,
+  validateRows,
+  buildPreview,
+  commitRows,
+} = require("../services/importService");
+const { isStatementFile, parseStatement } = require("../services/parsers");
+const { resolveAccount } = require("../services/accountService");
+const { getActiveRules } = require("../services/ruleService");
+
+// Helper to read the mapping (sent as JSON string in multipart forms)
+const readMapping = (mapping) => {
+  if (!mapping) return {};
+  if (typeof mapping === "object") return mapping;
+
+  try {
+    return JSON.parse(mapping);
+  } catch (error) {
+    throw new ApiError(400, "Mapping must be valid JSON");
+  }
+};
+
+// @desc    Import transactions from CSV (preview by default, commit=true saves)
+// @route   POST /api/transactions/import
+// @access  Private
+const importTransactions = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ApiError(400, "Please upload a CSV file");
+  }
+
+  if (isStatementFile(req.file.originalname)) {
+    throw new ApiError(
+      400,
+      "Bank statements must be imported via /api/transactions/import/statement"
+    );
+  }
+
+  const { dateFormat, defaultType, defaultCategory, defaultCurrency } =
+    req.body;
+  const commit = req.body.commit === true || req.body.commit === "true";
+  const skipInvalid =
+    req.body.skipInvalid === true || req.body.skipInvalid === "true";
+
+  const { headers, records } = parseCSV(req.file.buffer.toString("utf8"));
+
+  if (records.length === 0) {
+    throw new ApiError(400, "The CSV file has no rows to import");
+  }
+
+  const mapping = resolveMapping(headers, readMapping(req.body.mapping));
+  const rules = await getActiveRules(req.user.id);
+
+  const rows = records.map((record) =>
+    mapRecord(record, mapping, {
+      dateFormat,
+      defaultType,
+      defaultCategory,
+      defaultCurrency,
+      rules,
+    })
+  );
+  const results = await validateRows(req.user.id, rows);
+  const preview = buildPreview(results);
+
+  // Dry run: return what would be imported
+  if (!commit) {
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          headers,
+          fields: IMPORT_FIELDS,
+          mapping,
+          ...preview,
+        },
+        "Import preview generated"
+      )
+    );
+  }
+
+  if (preview.invalidRows > 0 && !skipInvalid) {
+    throw new ApiError(
+      400,
+      `${preview.invalidRows} row(s) failed validation. Fix them or import with skipInvalid=true`,
+      preview.rows.filter((r) => !r.valid)
+    );
+  }
+
+  // Imported rows go to the chosen account (default account otherwise)
+  const account = await resolveAccount(req.user.id, req.body.account);
+  const created = await commitRows(req.user.id, results, account._id);
+
+  res.status(201).json(
+    new ApiResponse(
+      201,
+      {
+        created: created.length,
+        skipped: preview.invalidRows,
+        transactions: created,
+      },
+      "Transactions imported successfully"
+    )
+  );
+});
+
+// @desc    Import an OFX/QFX/QIF bank statement (preview by default)
+// @route   POST /api/transactions/import/statement
+// @access  Private
+const importStatement = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ApiError(400, "Please upload an OFX or QIF file");
+  }
+
+  const { dateFormat, defaultCategory, defaultCurrency } = req.body;
+  const commit = req.body.commit === true || req.body.commit === "true";
+
+  // QIF has no account id of its own; its rows are keyed by the target
+  const account = await resolveAccount(req.user.id, req.body.account);
+  const entries = parseStatement(
+    req.file.originalname,
+    req.file.buffer.toString("utf8"),
+    { dateFormat, accountId: account.id }
+  );
+
+  if (entries.length === 0) {
+    throw new ApiError(400, "The statement has no transactions to import");
+  }
+
+  const rules = await getActiveRules(req.user.id);
+  const rows = entries.map((entry) =>
+    mapStatementEntry(entry, { defaultCategory, defaultCurrency, rules })
+  );
+  const results = await markDuplicateRows(
+    req.user.id,
+    await validateRows(req.user.id, rows)
+  );
+  const preview = buildPreview(results);
+
+  // Invalid rows are rejected and duplicates skipped; the rest is created
+  let created = [];
+  if (commit) {
+    created = await commitRows(req.user.id, results, account._id);
+  }
+
+  res.status(commit ? 201 : 200).json(
+    new ApiResponse(
+      commit ? 201 : 200,
+      {
+        created: commit ? created.length : preview.validRows,
+        skipped: preview.duplicateRows,
+        rejected: preview.invalidRows,
+        rows: preview.rows,
+        ...(commit ? { transactions: created } : {}),
+      },
+      commit ? "Statement imported successfully" : "Import preview generated"
+    )
+  );
+});
+
+module.exports = {
+  importTransactions,
+  importStatement,
+};
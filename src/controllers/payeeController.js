@@ -0,0 +1,211 @@
+const mongoose = require("mongoose");
+const Payee = require("../models/Payee");
+const Transaction = require("../models/Transaction");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const {
+  normalizePayeeName,
+  normalizeAliases,
+  assertNamesAvailable,
+  getPayeeStats,
+  mergePayees,
+} = require("../services/payeeService");
+
+// Stats of a payee without transactions
+const EMPTY_STATS = {
+  count: 0,
+  totalSpent: 0,
+  totalReceived: 0,
+  averageTicket: 0,
+  lastSeen: null,
+};
+
+// Helper to load a payee and ensure the user owns it
+const findUserPayee = async (req, action) => {
+  const payee = await Payee.findById(req.params.id);
+
+  if (!payee) {
+    throw new ApiError(404, "Payee not found");
+  }
+
+  if (payee.user.toString() !== req.user.id) {
+    throw new ApiError(401, `Not authorized to ${action} this payee`);
+  }
+
+  return payee;
+};
+
+// @desc    Create payee
+// @route   POST /api/payees
+// @access  Private
+const createPayee = asyncHandler(async (req, res) => {
+  const { name, aliases } = req.body;
+
+  const normalizedName = normalizePayeeName(name);
+  if (!normalizedName) {
+    throw new ApiError(400, "Please add a payee name");
+  }
+
+  const normalizedAliases = normalizeAliases(aliases, normalizedName);
+  await assertNamesAvailable(req.user.id, [
+    normalizedName,
+    ...normalizedAliases,
+  ]);
+
+  const payee = await Payee.create({
+    user: req.user.id,
+    name,
+    normalizedName,
+    aliases: normalizedAliases,
+  });
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, payee, "Payee created successfully"));
+});
+
+// @desc    Get all payees with spend totals, last-seen date and average ticket
+// @route   GET /api/payees?startDate=&endDate=&search=
+// @access  Private
+const getPayees = asyncHandler(async (req, res) => {
+  const { startDate, endDate, search } = req.query;
+
+  const query = { user: req.user.id };
+  const term = normalizePayeeName(search);
+  if (term) {
+    query.$or = [
+      { normalizedName: { $regex: term } },
+      { aliases: { $regex: term } },
+    ];
+  }
+
+  const [payees, stats] = await Promise.all([
+    Payee.find(query).sort({ name: 1 }),
+    getPayeeStats(req.user._id, { startDate, endDate }),
+  ]);
+
+  // Biggest spend first
+  const rows = payees
+    .map((payee) => ({
+      ...payee.toObject(),
+      ...(stats[String(payee._id)] || EMPTY_STATS),
+    }))
+    .sort((a, b) => b.totalSpent - a.totalSpent);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, { payees: rows }, "Payees fetched successfully")
+    );
+});
+
+// @desc    Get single payee with stats
+// @route   GET /api/payees/:id
+// @access  Private
+const getPayeeById = asyncHandler(async (req, res) => {
+  const payee = await findUserPayee(req, "view");
+  const stats = await getPayeeStats(req.user._id, { payee: payee._id });
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        ...payee.toObject(),
+        ...(stats[String(payee._id)] || EMPTY_STATS),
+      },
+      "Payee fetched successfully"
+    )
+  );
+});
+
+// @desc    Update payee (rename or replace aliases)
+// @route   PUT /api/payees/:id
+// @access  Private
+const updatePayee = asyncHandler(async (req, res) => {
+  const payee = await findUserPayee(req, "update");
+  const { name, aliases } = req.body;
+
+  if (name) {
+    const normalizedName = normalizePayeeName(name);
+    if (!normalizedName) {
+      throw new ApiError(400, "Please add a payee name");
+    }
+    // The old spelling keeps matching
+    if (aliases === undefined && normalizedName !== payee.normalizedName) {
+      payee.aliases.push(payee.normalizedName);
+    }
+    payee.name = name;
+    payee.normalizedName = normalizedName;
+  }
+  // Aliases are replaced as a whole
+  payee.aliases = normalizeAliases(
+    aliases !== undefined ? aliases : payee.aliases,
+    payee.normalizedName
+  );
+
+  await assertNamesAvailable(
+    req.user.id,
+    [payee.normalizedName, ...payee.aliases],
+    payee._id
+  );
+  await payee.save();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, payee, "Payee updated successfully"));
+});
+
+// @desc    Delete payee (its transactions are kept, unlinked, reconciled
+//          ones included since the payee isn't part of a reconciliation)
+// @route   DELETE /api/payees/:id
+// @access  Private
+const deletePayee = asyncHandler(async (req, res) => {
+  const payee = await findUserPayee(req, "delete");
+
+  await Transaction.updateMany(
+    { user: payee.user, payee: payee._id },
+    { $unset: { payee: 1 } }
+  );
+  await payee.deleteOne();
+
+  res.status(200).json(new ApiResponse(200, {}, "Payee deleted successfully"));
+});
+
+// @desc    Merge duplicate payees into this one
+// @route   POST /api/payees/:id/merge
+// @access  Private
+const mergePayeesInto = asyncHandler(async (req, res) => {
+  const target = await findUserPayee(req, "update");
+  const { sources } = req.body;
+
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new ApiError(400, "Please provide the payees to merge");
+  }
+  if (!sources.every((id) => mongoose.isValidObjectId(id))) {
+    throw new ApiError(400, "Invalid payee id");
+  }
+  if (sources.some((id) => String(id) === String(target._id))) {
+    throw new ApiError(400, "Cannot merge a payee into itself");
+  }
+
+  const payees = await Payee.find({ _id: { $in: sources }, user: req.user.id });
+  if (payees.length !== new Set(sources.map(String)).size) {
+    throw new ApiError(404, "Some payees were not found");
+  }
+
+  const result = await mergePayees(target, payees);
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, result, "Payees merged successfully"));
+});
+
+module.exports = {
+  createPayee,
+  getPayees,
+  getPayeeById,
+  updatePayee,
+  deletePayee,
+  mergePayeesInto,
+};
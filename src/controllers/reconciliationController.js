@@ -0,0 +1,184 @@
+const Reconciliation = require("../models/Reconciliation");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const { resolveAccount } = require("../services/accountService");
+const {
+  getOpenTransactions,
+  getSummary,
+  startReconciliation,
+  setCleared,
+  completeReconciliation,
+  removeReconciliation,
+} = require("../services/reconciliationService");
+
+// Helper to load a session and ensure the user owns it
+const findUserReconciliation = async (req, action) => {
+  const session = await Reconciliation.findById(req.params.id);
+
+  if (!session) {
+    throw new ApiError(404, "Reconciliation not found");
+  }
+
+  if (session.user.toString() !== req.user.id) {
+    throw new ApiError(401, `Not authorized to ${action} this reconciliation`);
+  }
+
+  return session;
+};
+
+// Helper to reject changes to a finished session
+const assertInProgress = (session) => {
+  if (session.status !== "in_progress") {
+    throw new ApiError(400, "This reconciliation is already completed");
+  }
+};
+
+// @desc    Start reconciling an account against a statement
+// @route   POST /api/reconciliations
+// @access  Private
+const createReconciliation = asyncHandler(async (req, res) => {
+  const { account, statementDate, statementBalance } = req.body;
+
+  if (!account || !statementDate || statementBalance === undefined) {
+    throw new ApiError(
+      400,
+      "Account, statement date, and statement balance are required"
+    );
+  }
+
+  const found = await resolveAccount(req.user.id, account);
+  const session = await startReconciliation(req.user.id, found, {
+    statementDate,
+    statementBalance,
+  });
+
+  res.status(201).json(
+    new ApiResponse(
+      201,
+      {
+        reconciliation: session,
+        summary: await getSummary(session),
+        transactions: await getOpenTransactions(session),
+      },
+      "Reconciliation started successfully"
+    )
+  );
+});
+
+// @desc    Get reconciliations (optionally of one account)
+// @route   GET /api/reconciliations?account=
+// @access  Private
+const getReconciliations = asyncHandler(async (req, res) => {
+  const query = { user: req.user.id };
+  if (req.query.account) query.account = req.query.account;
+
+  const reconciliations = await Reconciliation.find(query)
+    .select("-transactions")
+    .sort({ statementDate: -1 });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { reconciliations },
+        "Reconciliations fetched successfully"
+      )
+    );
+});
+
+// @desc    Get a reconciliation with its open transactions and difference
+// @route   GET /api/reconciliations/:id
+// @access  Private
+const getReconciliationById = asyncHandler(async (req, res) => {
+  const session = await findUserReconciliation(req, "view");
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        reconciliation: session,
+        summary: await getSummary(session),
+        transactions:
+          session.status === "in_progress"
+            ? await getOpenTransactions(session)
+            : [],
+      },
+      "Reconciliation fetched successfully"
+    )
+  );
+});
+
+// @desc    Tick transactions off as cleared (cleared=false un-ticks them)
+// @route   POST /api/reconciliations/:id/clear
+// @access  Private
+const clearTransactions = asyncHandler(async (req, res) => {
+  const session = await findUserReconciliation(req, "update");
+  assertInProgress(session);
+
+  const cleared = !(req.body.cleared === false || req.body.cleared === "false");
+  await setCleared(session, req.body.ids, cleared);
+
+  // The difference is returned so clients can show it live
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { summary: await getSummary(session) },
+        "Transactions updated successfully"
+      )
+    );
+});
+
+// @desc    Finish a reconciliation and lock its cleared transactions
+// @route   POST /api/reconciliations/:id/complete
+// @access  Private
+const finishReconciliation = asyncHandler(async (req, res) => {
+  const session = await findUserReconciliation(req, "update");
+  assertInProgress(session);
+
+  const summary = await completeReconciliation(session);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { reconciliation: session, summary },
+        "Reconciliation completed successfully"
+      )
+    );
+});
+
+// @desc    Cancel an open reconciliation or undo the latest completed one
+// @route   DELETE /api/reconciliations/:id
+// @access  Private
+const deleteReconciliation = asyncHandler(async (req, res) => {
+  const session = await findUserReconciliation(req, "delete");
+  const completed = session.status === "completed";
+
+  await removeReconciliation(session);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        completed
+          ? "Reconciliation undone; its transactions are unlocked"
+          : "Reconciliation cancelled"
+      )
+    );
+});
+
+module.exports = {
+  createReconciliation,
+  getReconciliations,
+  getReconciliationById,
+  clearTransactions,
+  finishReconciliation,
+  deleteReconciliation,
+};
@@ -0,0 +1,336 @@
+const RecurringTransaction = require("../models/RecurringTransaction");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const {
+  getDateKey,
+  getOccurrenceDate,
+  getUpcomingOccurrences,
+  refreshNextRunDate,
+  materializeDueTransactions,
+} = require("../services/recurringService");
+const { resolveAccount } = require("../services/accountService");
+
+// Helper to load a rule and ensure the user owns it
+const findUserRule = async (req, action) => {
+  const rule = await RecurringTransaction.findById(req.params.id);
+
+  if (!rule) {
+    throw new ApiError(404, "Recurring transaction not found");
+  }
+
+  if (rule.user.toString() !== req.user.id) {
+    throw new ApiError(401, `Not authorized to ${action} this recurring rule`);
+  }
+
+  return rule;
+};
+
+// Helper to attach the upcoming schedule to a rule
+const withUpcoming = (rule) => ({
+  ...rule.toObject(),
+  upcoming: getUpcomingOccurrences(rule),
+});
+
+// @desc    Create recurring transaction rule
+// @route   POST /api/transactions/recurring
+// @access  Private
+const createRecurring = asyncHandler(async (req, res) => {
+  const {
+    amount,
+    type,
+    category,
+    currency,
+    note,
+    mood,
+    frequency,
+    interval,
+    startDate,
+    endDate,
+  } = req.body;
+
+  if (!amount || !type || !category || !frequency || !startDate) {
+    throw new ApiError(
+      400,
+      "Amount, type, category, frequency, and start date are required"
+    );
+  }
+
+  if (amount <= 0) {
+    throw new ApiError(400, "Amount must be greater than 0");
+  }
+
+  if (endDate && new Date(endDate) < new Date(startDate)) {
+    throw new ApiError(400, "End date must be after the start date");
+  }
+
+  const account = await resolveAccount(req.user.id, req.body.account);
+
+  const rule = new RecurringTransaction({
+    user: req.user.id,
+    account: account._id,
+    amount,
+    type,
+    category,
+    currency,
+    note,
+    mood,
+    frequency,
+    interval,
+    startDate,
+    endDate,
+  });
+  refreshNextRunDate(rule);
+  await rule.save();
+
+  // Post anything already due (e.g. a start date in the past)
+  await materializeDueTransactions(req.user.id);
+  const saved = await RecurringTransaction.findById(rule._id);
+
+  res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        withUpcoming(saved),
+        "Recurring transaction created successfully"
+      )
+    );
+});
+
+// @desc    Get all recurring transaction rules
+// @route   GET /api/transactions/recurring
+// @access  Private
+const getRecurring = asyncHandler(async (req, res) => {
+  const { isActive } = req.query;
+
+  const query = { user: req.user.id };
+  if (isActive !== undefined) query.isActive = isActive === "true";
+
+  const rules = await RecurringTransaction.find(query).sort({
+    nextRunDate: 1,
+  });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { recurring: rules.map(withUpcoming) },
+        "Recurring transactions fetched successfully"
+      )
+    );
+});
+
+// @desc    Get single recurring transaction rule
+// @route   GET /api/transactions/recurring/:id
+// @access  Private
+const getRecurringById = asyncHandler(async (req, res) => {
+  const rule = await findUserRule(req, "view");
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        withUpcoming(rule),
+        "Recurring transaction fetched successfully"
+      )
+    );
+});
+
+// @desc    Update recurring transaction rule
+// @route   PUT /api/transactions/recurring/:id
+// @access  Private
+const updateRecurring = asyncHandler(async (req, res) => {
+  const rule = await findUserRule(req, "update");
+
+  const {
+    amount,
+    type,
+    category,
+    currency,
+    note,
+    mood,
+    frequency,
+    interval,
+    startDate,
+    endDate,
+    isActive,
+  } = req.body;
+
+  if (startDate && isNaN(new Date(startDate).getTime())) {
+    throw new ApiError(400, "Invalid start date");
+  }
+
+  // Posted occurrences are kept, so a new start date must come after the
+  // last of them. Resending the current start date changes nothing.
+  const startChanged =
+    startDate &&
+    new Date(startDate).getTime() !== new Date(rule.startDate).getTime();
+  if (startChanged && rule.occurrenceCount > 0) {
+    const lastPosted = getOccurrenceDate(rule, rule.occurrenceCount - 1);
+    if (new Date(startDate) <= lastPosted) {
+      throw new ApiError(
+        400,
+        `Start date must be after the last posted occurrence (${getDateKey(
+          lastPosted
+        )})`
+      );
+    }
+  }
+
+  // Rebase the schedule when it changes: the next pending occurrence (or the
+  // new start date) becomes occurrence 0 of the new rule
+  const scheduleChanged =
+    (frequency && frequency !== rule.frequency) ||
+    (interval && Number(interval) !== rule.interval) ||
+    startChanged;
+  if (scheduleChanged) {
+    rule.startDate = startChanged
+      ? startDate
+      : getOccurrenceDate(rule, rule.occurrenceCount);
+    rule.occurrenceCount = 0;
+  }
+
+  if (req.body.account) {
+    rule.account = (await resolveAccount(req.user.id, req.body.account))._id;
+  }
+
+  rule.amount = amount || rule.amount;
+  rule.type = type || rule.type;
+  rule.category = category || rule.category;
+  rule.currency = currency || rule.currency;
+  rule.note = note !== undefined ? note : rule.note;
+  rule.mood = mood !== undefined ? mood : rule.mood;
+  rule.frequency = frequency || rule.frequency;
+  rule.interval = interval || rule.interval;
+  rule.endDate = endDate !== undefined ? endDate : rule.endDate;
+  rule.isActive = isActive !== undefined ? isActive : rule.isActive;
+
+  if (rule.endDate && new Date(rule.endDate) < new Date(rule.startDate)) {
+    throw new ApiError(400, "End date must be after the start date");
+  }
+
+  // Schedule changes only affect occurrences that have not been posted yet
+  refreshNextRunDate(rule);
+  await rule.save();
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        withUpcoming(rule),
+        "Recurring transaction updated successfully"
+      )
+    );
+});
+
+// @desc    Delete recurring transaction rule
+// @route   DELETE /api/transactions/recurring/:id
+// @access  Private
+const deleteRecurring = asyncHandler(async (req, res) => {
+  const rule = await findUserRule(req, "delete");
+
+  // Already posted transactions are kept as normal transactions
+  await rule.deleteOne();
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, {}, "Recurring transaction deleted successfully")
+    );
+});
+
+// @desc    Skip or override a single occurrence
+// @route   POST /api/transactions/recurring/:id/exceptions
+// @access  Private
+const setOccurrenceException = asyncHandler(async (req, res) => {
+  const rule = await findUserRule(req, "update");
+  const { date, action, amount, category, note, mood } = req.body;
+
+  if (!date || !["skip", "override"].includes(action)) {
+    throw new ApiError(400, "Date and action (skip or override) are required");
+  }
+
+  if (amount !== undefined && amount <= 0) {
+    throw new ApiError(400, "Amount must be greater than 0");
+  }
+
+  const key = getDateKey(date);
+
+  // Only future occurrences can be changed
+  const isScheduled = getUpcomingOccurrences(rule, 1000).some(
+    (o) => getDateKey(o.date) === key
+  );
+  if (!isScheduled) {
+    throw new ApiError(400, "No upcoming occurrence is scheduled on this date");
+  }
+
+  // Replace any existing exception for the same date
+  rule.exceptions = rule.exceptions.filter((e) => e.date !== key);
+  rule.exceptions.push({ date: key, action, amount, category, note, mood });
+  await rule.save();
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        withUpcoming(rule),
+        "Occurrence updated successfully"
+      )
+    );
+});
+
+// @desc    Remove a skip/override from a single occurrence
+// @route   DELETE /api/transactions/recurring/:id/exceptions/:date
+// @access  Private
+const removeOccurrenceException = asyncHandler(async (req, res) => {
+  const rule = await findUserRule(req, "update");
+  const key = getDateKey(req.params.date);
+
+  const initialLen = rule.exceptions.length;
+  rule.exceptions = rule.exceptions.filter((e) => e.date !== key);
+
+  if (rule.exceptions.length === initialLen) {
+    throw new ApiError(404, "No exception found for this date");
+  }
+
+  await rule.save();
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, withUpcoming(rule), "Occurrence reset successfully")
+    );
+});
+
+// @desc    Post all due occurrences now
+// @route   POST /api/transactions/recurring/run
+// @access  Private
+const runRecurring = asyncHandler(async (req, res) => {
+  const transactions = await materializeDueTransactions(req.user.id);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { created: transactions.length, transactions },
+        "Recurring transactions posted successfully"
+      )
+    );
+});
+
+module.exports = {
+  createRecurring,
+  getRecurring,
+  getRecurringById,
+  updateRecurring,
+  deleteRecurring,
+  setOccurrenceException,
+  removeOccurrenceException,
+  runRecurring,
+};
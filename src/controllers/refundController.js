@@ -0,0 +1,74 @@
+const Transaction = require("../models/Transaction");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const {
+  createRefund,
+  getRefunds,
+  getOutstandingReimbursements,
+} = require("../services/refundService");
+
+// Helper to load a transaction and ensure the user owns it
+const findUserTransaction = async (req, action) => {
+  const transaction = await Transaction.findById(req.params.id);
+
+  if (!transaction) {
+    throw new ApiError(404, "Transaction not found");
+  }
+
+  if (transaction.user.toString() !== req.user.id) {
+    throw new ApiError(401, `Not authorized to ${action} this transaction`);
+  }
+
+  return transaction;
+};
+
+// @desc    Record a refund or reimbursement of an expense
+// @route   POST /api/transactions/:id/refunds
+// @access  Private
+const addRefund = asyncHandler(async (req, res) => {
+  const expense = await findUserTransaction(req, "update");
+
+  // { amount (defaults to the rest), date, note, account }
+  const refund = await createRefund(expense, req.body, req.user.id);
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, refund, "Refund added successfully"));
+});
+
+// @desc    Get refunds of an expense
+// @route   GET /api/transactions/:id/refunds
+// @access  Private
+const getTransactionRefunds = asyncHandler(async (req, res) => {
+  const expense = await findUserTransaction(req, "view");
+
+  const result = await getRefunds(expense);
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, result, "Refunds fetched successfully"));
+});
+
+// @desc    Get reimbursable expenses that are still owed
+// @route   GET /api/transactions/reimbursements/outstanding
+// @access  Private
+const getOutstanding = asyncHandler(async (req, res) => {
+  const result = await getOutstandingReimbursements(req.user.id);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        result,
+        "Outstanding reimbursements fetched successfully"
+      )
+    );
+});
+
+module.exports = {
+  addRefund,
+  getTransactionRefunds,
+  getOutstanding,
+};
@@ -4,6 +4,20 @@ const { ApiError } = require("../utils/ApiError");
 const { ApiResponse } = require("../utils/ApiResponse");
 const PDFDocument = require("pdfkit");
 const { Parser } = require("json2csv");
+const {
+  hasSplits,
+  getCategoryParts,
+  categoryPartsStages,
+} = require("../utils/splits");
+const {
+  baseAmountExpr,
+  getBaseAmount,
+  SPEND_TYPES,
+  spendAmountExpr,
+  getSpendAmount,
+} = require("../utils/currency");
+const { getBaseCurrency } = require("../services/currencyService");
+const { buildTagFilter, sumByTag } = require("../utils/tags");
 
 // --- HELPER FUNCTIONS ---
 
@@ -15,6 +29,16 @@ const getMonthDateRange = (monthStr) => {
   return { startDate, endDate };
 };
 
+// Format an amount with its currency ("$" for USD, ISO code otherwise)
+const formatMoney = (amount, currency) => {
+  const value = amount.toLocaleString();
+  return currency === "USD" ? `$${value}` : `${currency} ${value}`;
+};
+
+// Optional tag filter (?tags=a,b&tagMatch=any|all) shared by all reports
+const getTagFilter = (query) =>
+  buildTagFilter(query.tags, query.tagMatch) || {};
+
 // --- CONTROLLERS ---
 
 // @desc    Get Monthly Report JSON Data
@@ -25,10 +49,11 @@ const getMonthlyReport = asyncHandler(async (req, res) => {
 
   const { startDate, endDate } = getMonthDateRange(month);
 
-  // Filter for the specific user and date range
+  // Filter for the specific user and date range (and tags, if given)
   const matchStage = {
     user: req.user._id,
     date: { $gte: startDate, $lte: endDate },
+    ...getTagFilter(req.query),
   };
 
   // PARALLEL EXECUTION:
@@ -36,9 +61,7 @@ const getMonthlyReport = asyncHandler(async (req, res) => {
   // 2. Paginated Query for Transactions List - SUPPORTS FILTERS
 
   const statsPromise = Transaction.aggregate([
-    {
-      $match: { user: req.user._id, date: { $gte: startDate, $lte: endDate } },
-    },
+    { $match: matchStage },
     {
       $facet: {
         // Total Income/Expense
@@ -47,31 +70,58 @@ const getMonthlyReport = asyncHandler(async (req, res) => {
             $group: {
               _id: null,
               totalIncome: {
-                $sum: { $cond: [{ $eq: ["$type", "income"] }, "$amount", 0] },
+                $sum: {
+                  $cond: [{ $eq: ["$type", "income"] }, baseAmountExpr, 0],
+                },
               },
               totalExpenses: {
-                $sum: { $cond: [{ $eq: ["$type", "expense"] }, "$amount", 0] },
+                $sum: {
+                  $cond: [{ $in: ["$type", SPEND_TYPES] }, spendAmountExpr, 0],
+                },
               },
             },
           },
         ],
-        // Category Breakdown (Expenses Only)
+        // Category Breakdown (Expenses less refunds)
         categories: [
-          { $match: { type: "expense" } },
+          { $match: { type: { $in: SPEND_TYPES } } },
+          // Split transactions count under each split's category
+          ...categoryPartsStages(),
           { $group: { _id: "$category", amount: { $sum: "$amount" } } },
           { $sort: { amount: -1 } },
         ],
-        // Daily Trend (Expenses Only)
+        // Daily Trend (Expenses less refunds)
         trend: [
-          { $match: { type: "expense" } },
+          { $match: { type: { $in: SPEND_TYPES } } },
           {
             $group: {
               _id: { $dayOfMonth: "$date" },
-              amount: { $sum: "$amount" },
+              amount: { $sum: spendAmountExpr },
             },
           },
           { $sort: { _id: 1 } },
         ],
+        // Tag Breakdown
+        tags: [
+          { $unwind: "$tags" },
+          {
+            $group: {
+              _id: "$tags",
+              count: { $sum: 1 },
+              income: {
+                $sum: {
+                  $cond: [{ $eq: ["$type", "income"] }, baseAmountExpr, 0],
+                },
+              },
+              expenses: {
+                $sum: {
+                  $cond: [{ $in: ["$type", SPEND_TYPES] }, spendAmountExpr, 0],
+                },
+              },
+            },
+          },
+          { $sort: { expenses: -1, income: -1 } },
+        ],
       },
     },
   ]);
@@ -80,15 +130,29 @@ const getMonthlyReport = asyncHandler(async (req, res) => {
   const listQuery = {
     user: req.user.id,
     date: { $gte: startDate, $lte: endDate },
+    ...getTagFilter(req.query),
   };
 
   if (req.query.type) listQuery.type = req.query.type;
-  if (req.query.category) listQuery.category = req.query.category;
+  if (req.query.category) {
+    listQuery.$and = [
+      {
+        $or: [
+          { category: req.query.category },
+          { "splits.category": req.query.category },
+        ],
+      },
+    ];
+  }
 
   // Optional: Search by note or category
   if (req.query.search) {
     const searchRegex = { $regex: req.query.search, $options: "i" };
-    listQuery.$or = [{ category: searchRegex }, { note: searchRegex }];
+    listQuery.$or = [
+      { category: searchRegex },
+      { "splits.category": searchRegex },
+      { note: searchRegex },
+    ];
   }
 
   const listPromise = Transaction.find(listQuery)
@@ -98,11 +162,13 @@ const getMonthlyReport = asyncHandler(async (req, res) => {
 
   const countPromise = Transaction.countDocuments(listQuery);
 
-  const [statsResult, transactions, totalTransactions] = await Promise.all([
-    statsPromise,
-    listPromise,
-    countPromise,
-  ]);
+  const [statsResult, transactions, totalTransactions, baseCurrency] =
+    await Promise.all([
+      statsPromise,
+      listPromise,
+      countPromise,
+      getBaseCurrency(req.user.id),
+    ]);
 
   // --- Process Stats ---
   const stats = statsResult[0];
@@ -128,12 +194,22 @@ const getMonthlyReport = asyncHandler(async (req, res) => {
     amount: t.amount,
   }));
 
+  const tagBreakdown = stats.tags.map(({ _id, ...t }) => ({ tag: _id, ...t }));
+
   res.status(200).json(
     new ApiResponse(
       200,
       {
-        summary: { totalIncome, totalExpenses, savings, topCategory },
+        // Totals are in the user's base currency
+        summary: {
+          totalIncome,
+          totalExpenses,
+          savings,
+          topCategory,
+          baseCurrency,
+        },
         categoryBreakdown,
+        tagBreakdown,
         trend,
         transactions,
         pagination: {
@@ -159,7 +235,9 @@ const exportReportPDF = asyncHandler(async (req, res) => {
   const transactions = await Transaction.find({
     user: req.user.id,
     date: { $gte: startDate, $lte: endDate },
+    ...getTagFilter(req.query),
   }).sort({ date: 1 });
+  const baseCurrency = await getBaseCurrency(req.user.id);
 
   // Calculate Totals and Category Breakdown
   let totalIncome = 0;
@@ -167,11 +245,16 @@ const exportReportPDF = asyncHandler(async (req, res) => {
   const categoryMap = {};
 
   transactions.forEach((txn) => {
+    // Transfers between accounts are neither income nor expense; refunds
+    // reduce expenses
     if (txn.type === "income") {
-      totalIncome += txn.amount;
-    } else {
-      totalExpenses += txn.amount;
-      categoryMap[txn.category] = (categoryMap[txn.category] || 0) + txn.amount;
+      totalIncome += getBaseAmount(txn);
+    } else if (SPEND_TYPES.includes(txn.type)) {
+      totalExpenses += getSpendAmount(txn);
+      getCategoryParts(txn).forEach((part) => {
+        categoryMap[part.category] =
+          (categoryMap[part.category] || 0) + part.baseAmount;
+      });
     }
   });
 
@@ -179,6 +262,7 @@ const exportReportPDF = asyncHandler(async (req, res) => {
   const categoryBreakdown = Object.entries(categoryMap)
     .map(([cat, amt]) => ({ category: cat, amount: amt }))
     .sort((a, b) => b.amount - a.amount);
+  const tagBreakdown = sumByTag(transactions);
 
   // Create PDF with margins
   const doc = new PDFDocument({ margin: 50 });
@@ -239,21 +323,21 @@ const exportReportPDF = asyncHandler(async (req, res) => {
     50,
     cardY,
     "Total Income",
-    `$${totalIncome.toLocaleString()}`,
+    formatMoney(totalIncome, baseCurrency),
     successColor
   );
   drawCard(
     50 + cardWidth + cardSpacing,
     cardY,
     "Total Expenses",
-    `$${totalExpenses.toLocaleString()}`,
+    formatMoney(totalExpenses, baseCurrency),
     dangerColor
   );
   drawCard(
     50 + (cardWidth + cardSpacing) * 2,
     cardY,
     "Net Savings",
-    `$${savings.toLocaleString()}`,
+    formatMoney(savings, baseCurrency),
     savings >= 0 ? successColor : dangerColor
   );
 
@@ -271,7 +355,38 @@ const exportReportPDF = asyncHandler(async (req, res) => {
         totalExpenses > 0 ? Math.round((cat.amount / totalExpenses) * 100) : 0;
       doc.fillColor(grayColor).fontSize(10).font("Helvetica");
       doc.text(
-        `  ${cat.category}: $${cat.amount.toLocaleString()} (${percentage}%)`,
+        `  ${cat.category}: ${formatMoney(
+          cat.amount,
+          baseCurrency
+        )} (${percentage}%)`,
+        50,
+        doc.y
+      );
+      doc.moveDown(0.5);
+    });
+
+    doc.moveDown(1.5);
+  }
+
+  // === TAG BREAKDOWN ===
+  if (tagBreakdown.length > 0) {
+    doc.fillColor("#111827").fontSize(14).font("Helvetica-Bold");
+    doc.text("Tag Breakdown", 50, doc.y);
+    doc.moveDown(0.8);
+
+    tagBreakdown.forEach((t) => {
+      const parts = [];
+      if (t.expenses > 0) {
+        parts.push(`spent ${formatMoney(t.expenses, baseCurrency)}`);
+      }
+      if (t.income > 0) {
+        parts.push(`earned ${formatMoney(t.income, baseCurrency)}`);
+      }
+      doc.fillColor(grayColor).fontSize(10).font("Helvetica");
+      doc.text(
+        `  #${t.tag}: ${parts.join(", ") || "-"} (${t.count} transaction${
+          t.count === 1 ? "" : "s"
+        })`,
         50,
         doc.y
       );
@@ -350,17 +465,29 @@ const exportReportPDF = asyncHandler(async (req, res) => {
         day: "numeric",
         year: "numeric",
       });
-      const amountStr =
-        txn.type === "income"
-          ? `+$${txn.amount.toLocaleString()}`
-          : `-$${txn.amount.toLocaleString()}`;
-      const amountColor = txn.type === "income" ? successColor : dangerColor;
+      const amountSign = { income: "+", expense: "-" }[txn.type] || "";
+      // Rows show the amount in the currency it was spent in
+      const amountStr = `${amountSign}${formatMoney(
+        txn.amount,
+        txn.currency || baseCurrency
+      )}`;
+      const amountColor =
+        {
+          income: successColor,
+          expense: dangerColor,
+        }[txn.type] || grayColor;
 
       xPos = 50;
       doc.fillColor(grayColor).fontSize(8).font("Helvetica");
       doc.text(dateStr, xPos, rowY, { width: colWidths.date });
       xPos += colWidths.date;
-      doc.text(txn.category, xPos, rowY, { width: colWidths.category });
+      const categoryLabel = hasSplits(txn)
+        ? txn.splits.map((split) => split.category).join(", ")
+        : txn.category;
+      doc.text(categoryLabel, xPos, rowY, {
+        width: colWidths.category,
+        ellipsis: true,
+      });
       xPos += colWidths.category;
       doc.text(txn.note || "-", xPos, rowY, {
         width: colWidths.note,
@@ -419,18 +546,35 @@ const exportReportCSV = asyncHandler(async (req, res) => {
   const transactions = await Transaction.find({
     user: req.user.id,
     date: { $gte: startDate, $lte: endDate },
+    ...getTagFilter(req.query),
   }).sort({ date: -1 });
 
-  const fields = ["date", "type", "category", "amount", "note"];
+  const baseCurrency = await getBaseCurrency(req.user.id);
+  const fields = [
+    "date",
+    "type",
+    "category",
+    "amount",
+    "currency",
+    "baseAmount",
+    "note",
+    "tags",
+  ];
   const opts = { fields };
 
-  const data = transactions.map((t) => ({
-    date: new Date(t.date).toLocaleDateString(),
-    type: t.type,
-    category: t.category,
-    amount: t.amount,
-    note: t.note || "",
-  }));
+  // One row per category part so split amounts sum up per category
+  const data = transactions.flatMap((t) =>
+    getCategoryParts(t).map((part) => ({
+      date: new Date(t.date).toLocaleDateString(),
+      type: t.type,
+      category: part.category,
+      amount: part.amount,
+      currency: t.currency || baseCurrency,
+      baseAmount: part.baseAmount,
+      note: part.note || t.note || "",
+      tags: (t.tags || []).join(";"),
+    }))
+  );
 
   const parser = new Parser(opts);
   const csv = parser.parse(data);
@@ -444,8 +588,34 @@ const exportReportCSV = asyncHandler(async (req, res) => {
   res.status(200).send(csv);
 });
 
+// @desc    Export Monthly Tag Breakdown as CSV
+// @route   GET /api/reports/monthly/tags/csv?month=YYYY-MM
+const exportTagReportCSV = asyncHandler(async (req, res) => {
+  const { month } = req.query;
+  if (!month) throw new ApiError(400, "Month is required (YYYY-MM)");
+
+  const { startDate, endDate } = getMonthDateRange(month);
+  const transactions = await Transaction.find({
+    user: req.user.id,
+    date: { $gte: startDate, $lte: endDate },
+    ...getTagFilter(req.query),
+  });
+
+  const parser = new Parser({ fields: ["tag", "count", "income", "expenses"] });
+  const csv = parser.parse(sumByTag(transactions));
+
+  res.setHeader("Content-Type", "text/csv");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename=report-${month}-tags.csv`
+  );
+
+  res.status(200).send(csv);
+});
+
 module.exports = {
   getMonthlyReport,
   exportReportPDF,
   exportReportCSV,
+  exportTagReportCSV,
 };
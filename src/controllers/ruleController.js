@@ -0,0 +1,141 @@
+const Rule = require("../models/Rule");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const { normalizeTags } = require("../utils/tags");
+const { reapplyRules } = require("../services/ruleService");
+
+// Helper to load a rule and ensure the user owns it
+const findUserRule = async (req, action) => {
+  const rule = await Rule.findById(req.params.id);
+
+  if (!rule) {
+    throw new ApiError(404, "Rule not found");
+  }
+
+  if (rule.user.toString() !== req.user.id) {
+    throw new ApiError(401, `Not authorized to ${action} this rule`);
+  }
+
+  return rule;
+};
+
+// Helper to read the actions from a request (tags cleaned like on transactions)
+const readActions = (actions = {}) => ({
+  category: actions.category || undefined,
+  tags: normalizeTags(actions.tags),
+  mood: actions.mood || undefined,
+});
+
+// @desc    Create categorization rule
+// @route   POST /api/rules
+// @access  Private
+const createRule = asyncHandler(async (req, res) => {
+  const { name, priority, isActive, conditions, actions } = req.body;
+
+  if (!name || !conditions || !actions) {
+    throw new ApiError(400, "Name, conditions, and actions are required");
+  }
+
+  const rule = await Rule.create({
+    user: req.user.id,
+    name,
+    priority,
+    isActive,
+    conditions,
+    actions: readActions(actions),
+  });
+
+  res.status(201).json(new ApiResponse(201, rule, "Rule created successfully"));
+});
+
+// @desc    Get all rules (in the order they run)
+// @route   GET /api/rules
+// @access  Private
+const getRules = asyncHandler(async (req, res) => {
+  const rules = await Rule.find({ user: req.user.id }).sort({
+    priority: 1,
+    createdAt: 1,
+  });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, { rules }, "Rules fetched successfully"));
+});
+
+// @desc    Get single rule
+// @route   GET /api/rules/:id
+// @access  Private
+const getRuleById = asyncHandler(async (req, res) => {
+  const rule = await findUserRule(req, "view");
+
+  res.status(200).json(new ApiResponse(200, rule, "Rule fetched successfully"));
+});
+
+// @desc    Update rule
+// @route   PUT /api/rules/:id
+// @access  Private
+const updateRule = asyncHandler(async (req, res) => {
+  const rule = await findUserRule(req, "update");
+  const { name, priority, isActive, conditions, actions } = req.body;
+
+  rule.name = name || rule.name;
+  rule.priority = priority !== undefined ? priority : rule.priority;
+  rule.isActive = isActive !== undefined ? isActive : rule.isActive;
+  // Conditions and actions are replaced as a whole
+  if (conditions) rule.conditions = conditions;
+  if (actions) rule.actions = readActions(actions);
+
+  await rule.save();
+
+  res.status(200).json(new ApiResponse(200, rule, "Rule updated successfully"));
+});
+
+// @desc    Delete rule
+// @route   DELETE /api/rules/:id
+// @access  Private
+const deleteRule = asyncHandler(async (req, res) => {
+  const rule = await findUserRule(req, "delete");
+
+  await rule.deleteOne();
+
+  res.status(200).json(new ApiResponse(200, {}, "Rule deleted successfully"));
+});
+
+// @desc    Re-apply rules to existing transactions (preview unless commit=true)
+// @route   POST /api/rules/apply
+// @access  Private
+const applyRulesToTransactions = asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.body;
+  const commit = req.body.commit === true || req.body.commit === "true";
+  // Re-applying replaces existing categories and moods unless told not to
+  const overwrite = !(
+    req.body.overwrite === false || req.body.overwrite === "false"
+  );
+
+  const result = await reapplyRules(req.user.id, {
+    startDate,
+    endDate,
+    overwrite,
+    commit,
+  });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...result, committed: commit },
+        commit ? "Rules applied successfully" : "Rule changes preview"
+      )
+    );
+});
+
+module.exports = {
+  createRule,
+  getRules,
+  getRuleById,
+  updateRule,
+  deleteRule,
+  applyRulesToTransactions,
+};
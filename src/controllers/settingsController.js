@@ -3,6 +3,11 @@ const { asyncHandler } = require("../utils/asyncHandler");
 const { ApiError } = require("../utils/ApiError");
 const { ApiResponse } = require("../utils/ApiResponse");
 const bcrypt = require("bcryptjs");
+const {
+  normalizeCurrency,
+  recalculateBaseAmounts,
+} = require("../services/currencyService");
+const { PERIOD_TYPES } = require("../utils/budgetPeriods");
 
 // --- PROFILE SETTINGS ---
 
@@ -203,6 +208,122 @@ const updateAIPreferences = asyncHandler(async (req, res) => {
     );
 });
 
+// --- CURRENCY ---
+
+// @desc    Get Base Currency
+// @route   GET /api/settings/currency
+const getCurrencySettings = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { baseCurrency: user.settings.baseCurrency },
+        "Currency settings retrieved"
+      )
+    );
+});
+
+// @desc    Change Base Currency (converts all stored amounts)
+// @route   PUT /api/settings/currency
+const updateCurrencySettings = asyncHandler(async (req, res) => {
+  const baseCurrency = normalizeCurrency(req.body.baseCurrency);
+
+  if (!baseCurrency || !/^[A-Z]{3}$/.test(baseCurrency)) {
+    throw new ApiError(400, "Please provide a 3-letter ISO currency code");
+  }
+
+  const user = await User.findById(req.user.id);
+  const previous = user.settings.baseCurrency;
+
+  if (previous === baseCurrency) {
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, { baseCurrency }, "Currency settings updated")
+      );
+  }
+
+  user.settings.baseCurrency = baseCurrency;
+  await user.save();
+
+  // Amounts without a currency were recorded in the previous base currency.
+  // If any of them cannot be converted, keep the previous base currency.
+  let converted;
+  try {
+    converted = await recalculateBaseAmounts(req.user.id, previous);
+  } catch (error) {
+    user.settings.baseCurrency = previous;
+    await user.save();
+    throw error;
+  }
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, converted, "Currency settings updated"));
+});
+
+// --- BUDGET PERIOD ---
+
+// @desc    Get Budget Period
+// @route   GET /api/settings/budget-period
+const getBudgetPeriodSettings = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        user.settings.budgetPeriod,
+        "Budget period settings retrieved"
+      )
+    );
+});
+
+// @desc    Change Budget Period (monthly, weekly, biweekly or custom start
+//          day). Existing budgets keep the period they were set for.
+// @route   PUT /api/settings/budget-period
+const updateBudgetPeriodSettings = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  // Merge existing with new (ranges are checked by the schema)
+  const budgetPeriod = user.settings.budgetPeriod.toObject();
+  ["type", "weekStartDay", "monthStartDay", "anchorDate"].forEach((field) => {
+    if (req.body[field] !== undefined) budgetPeriod[field] = req.body[field];
+  });
+
+  if (!PERIOD_TYPES.includes(budgetPeriod.type)) {
+    throw new ApiError(
+      400,
+      `Budget period must be one of: ${PERIOD_TYPES.join(", ")}`
+    );
+  }
+  if (
+    budgetPeriod.type === "biweekly" &&
+    (!budgetPeriod.anchorDate ||
+      isNaN(new Date(budgetPeriod.anchorDate).getTime()))
+  ) {
+    throw new ApiError(
+      400,
+      "Bi-weekly budgets need an anchorDate on which a period starts"
+    );
+  }
+
+  user.settings.budgetPeriod = budgetPeriod;
+  await user.save();
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        user.settings.budgetPeriod,
+        "Budget period settings updated"
+      )
+    );
+});
+
 // --- CUSTOM CATEGORIES ---
 
 // @desc    Get All Categories (Default + Custom)
@@ -297,6 +418,10 @@ module.exports = {
   updateNotificationSettings,
   getAIPreferences,
   updateAIPreferences,
+  getCurrencySettings,
+  updateCurrencySettings,
+  getBudgetPeriodSettings,
+  updateBudgetPeriodSettings,
   getCategories,
   addCategory,
   deleteCategory,
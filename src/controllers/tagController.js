@@ -0,0 +1,63 @@
+const Transaction = require("../models/Transaction");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { ApiResponse } = require("../utils/ApiResponse");
+const {
+  baseAmountExpr,
+  SPEND_TYPES,
+  spendAmountExpr,
+} = require("../utils/currency");
+
+// @desc    Get all tags with usage counts and totals
+// @route   GET /api/tags?startDate=&endDate=
+// @access  Private
+const getTags = asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.query;
+
+  const match = { user: req.user._id, "tags.0": { $exists: true } };
+  if (startDate || endDate) {
+    match.date = {};
+    if (startDate) match.date.$gte = new Date(startDate);
+    if (endDate) match.date.$lte = new Date(endDate);
+  }
+
+  const tags = await Transaction.aggregate([
+    { $match: match },
+    { $unwind: "$tags" },
+    {
+      $group: {
+        _id: "$tags",
+        count: { $sum: 1 },
+        // Totals are in the user's base currency
+        income: {
+          $sum: { $cond: [{ $eq: ["$type", "income"] }, baseAmountExpr, 0] },
+        },
+        // Refunds reduce expenses
+        expenses: {
+          $sum: {
+            $cond: [{ $in: ["$type", SPEND_TYPES] }, spendAmountExpr, 0],
+          },
+        },
+        lastUsed: { $max: "$date" },
+      },
+    },
+    { $sort: { count: -1, _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        tag: "$_id",
+        count: 1,
+        income: 1,
+        expenses: 1,
+        lastUsed: 1,
+      },
+    },
+  ]);
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, { tags }, "Tags fetched successfully"));
+});
+
+module.exports = {
+  getTags,
+};
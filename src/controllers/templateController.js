@@ -0,0 +1,185 @@
+const TransactionTemplate = require("../models/TransactionTemplate");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const { sendCreated } = require("../utils/createdResponse");
+const { normalizeTags } = require("../utils/tags");
+const { resolveAccount } = require("../services/accountService");
+const { applyTemplate } = require("../services/templateService");
+
+// Helper to load a template and ensure the user owns it
+const findUserTemplate = async (req, action) => {
+  const template = await TransactionTemplate.findById(req.params.id);
+
+  if (!template) {
+    throw new ApiError(404, "Template not found");
+  }
+
+  if (template.user.toString() !== req.user.id) {
+    throw new ApiError(401, `Not authorized to ${action} this template`);
+  }
+
+  return template;
+};
+
+// Helper to keep template names unique per user
+const assertNameAvailable = async (userId, name, excludeId) => {
+  const existing = await TransactionTemplate.findOne({
+    user: userId,
+    name,
+    _id: { $ne: excludeId },
+  });
+  if (existing) {
+    throw new ApiError(400, "A template with this name already exists");
+  }
+};
+
+// @desc    Create transaction template
+// @route   POST /api/transaction-templates
+// @access  Private
+const createTemplate = asyncHandler(async (req, res) => {
+  const {
+    name,
+    type,
+    category,
+    amount,
+    minAmount,
+    maxAmount,
+    currency,
+    note,
+    mood,
+    tags,
+  } = req.body;
+
+  if (!name || !type || !category) {
+    throw new ApiError(400, "Name, type, and category are required");
+  }
+
+  await assertNameAvailable(req.user.id, name.trim());
+
+  // The account is optional; without one the default account is used on apply
+  const account = req.body.account
+    ? (await resolveAccount(req.user.id, req.body.account))._id
+    : undefined;
+
+  const template = await TransactionTemplate.create({
+    user: req.user.id,
+    name,
+    type,
+    category,
+    account,
+    amount,
+    minAmount,
+    maxAmount,
+    currency,
+    note,
+    mood,
+    tags: normalizeTags(tags),
+  });
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, template, "Template created successfully"));
+});
+
+// @desc    Get all transaction templates, most used first
+// @route   GET /api/transaction-templates
+// @access  Private
+const getTemplates = asyncHandler(async (req, res) => {
+  const templates = await TransactionTemplate.find({ user: req.user.id }).sort({
+    usageCount: -1,
+    name: 1,
+  });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, { templates }, "Templates fetched successfully")
+    );
+});
+
+// @desc    Get single transaction template
+// @route   GET /api/transaction-templates/:id
+// @access  Private
+const getTemplateById = asyncHandler(async (req, res) => {
+  const template = await findUserTemplate(req, "view");
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, template, "Template fetched successfully"));
+});
+
+// @desc    Update transaction template (null clears an optional field)
+// @route   PUT /api/transaction-templates/:id
+// @access  Private
+const updateTemplate = asyncHandler(async (req, res) => {
+  const template = await findUserTemplate(req, "update");
+  const { name, type, category, tags } = req.body;
+
+  if (name) {
+    await assertNameAvailable(req.user.id, name.trim(), template._id);
+    template.name = name;
+  }
+  template.type = type || template.type;
+  template.category = category || template.category;
+
+  if (req.body.account !== undefined) {
+    template.account = req.body.account
+      ? (await resolveAccount(req.user.id, req.body.account))._id
+      : undefined;
+  }
+
+  ["amount", "minAmount", "maxAmount", "currency", "note", "mood"].forEach(
+    (field) => {
+      if (req.body[field] !== undefined) {
+        template[field] =
+          req.body[field] === null ? undefined : req.body[field];
+      }
+    }
+  );
+  if (tags !== undefined) template.tags = normalizeTags(tags);
+
+  await template.save();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, template, "Template updated successfully"));
+});
+
+// @desc    Delete transaction template
+// @route   DELETE /api/transaction-templates/:id
+// @access  Private
+const deleteTemplate = asyncHandler(async (req, res) => {
+  const template = await findUserTemplate(req, "delete");
+
+  // Transactions created from it are kept
+  await template.deleteOne();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Template deleted successfully"));
+});
+
+// @desc    Create a transaction from a template; body fields override it
+// @route   POST /api/transaction-templates/:id/apply
+// @access  Private
+const applyTransactionTemplate = asyncHandler(async (req, res) => {
+  const template = await findUserTemplate(req, "use");
+
+  const { transaction, duplicates } = await applyTemplate(
+    template,
+    req.body,
+    req.user.id
+  );
+
+  sendCreated(res, transaction, duplicates, "Transaction added");
+});
+
+module.exports = {
+  createTemplate,
+  getTemplates,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+  applyTransactionTemplate,
+};
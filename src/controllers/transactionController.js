@@ -1,103 +1,147 @@
 const Transaction = require("../models/Transaction");
-const Budget = require("../models/Budget");
 const { asyncHandler } = require("../utils/asyncHandler");
 const { ApiError } = require("../utils/ApiError");
 const { ApiResponse } = require("../utils/ApiResponse");
+const { sendCreated } = require("../utils/createdResponse");
+const { applyTransactionToBudget } = require("../services/budgetService");
+const { getCategoryParts } = require("../utils/splits");
+const {
+  getBaseAmount,
+  SPEND_TYPES,
+  getSpendAmount,
+} = require("../utils/currency");
+const { normalizeTags } = require("../utils/tags");
+const {
+  buildTransactionQuery,
+  buildSort,
+  encodeCursor,
+  applyCursor,
+} = require("../utils/transactionQuery");
+const { resolveAccount } = require("../services/accountService");
+const { resolvePayee } = require("../services/payeeService");
+const { assertRefundUpdateAllowed } = require("../services/refundLimitService");
+const { rescaleRefundSplits } = require("../services/refundService");
+const { assertNotReconciled } = require("../services/reconciliationService");
+const User = require("../models/User");
+const {
+  createTransaction,
+  applySearchFallback,
+} = require("../services/transactionService");
+const { parseQuickAdd } = require("../services/parsers/quickAddParser");
+const { runBulkOperation } = require("../services/bulkService");
+const { trashTransaction } = require("../services/trashService");
+const {
+  recordChange,
+  getHistory,
+  revertToVersion,
+} = require("../services/historyService");
+const { applyExchangeRate } = require("../services/currencyService");
 
 // @desc    Add transaction
 // @route   POST /api/transactions
 // @access  Private
 const addTransaction = asyncHandler(async (req, res) => {
-  const { amount, type, category, date, note, mood } = req.body;
+  const { transaction, duplicates } = await createTransaction(
+    req.user.id,
+    req.body
+  );
 
-  if (!amount || !type || !category || !date) {
-    throw new ApiError(400, "Amount, type, category, and date are required");
-  }
+  sendCreated(res, transaction, duplicates, "Transaction added");
+});
 
-  if (amount <= 0) {
-    throw new ApiError(400, "Amount must be greater than 0");
+// @desc    Quick add from one line of text ("coffee 4.50 yesterday happy");
+//          returns the parsed draft unless commit=true
+// @route   POST /api/transactions/quick
+// @access  Private
+const quickAddTransaction = asyncHandler(async (req, res) => {
+  const { text, dateFormat, account } = req.body;
+  const commit = req.body.commit === true || req.body.commit === "true";
+
+  if (!text || !String(text).trim()) {
+    throw new ApiError(400, "Text is required");
   }
 
-  const transaction = await Transaction.create({
-    user: req.user.id,
-    amount,
-    type,
-    category,
-    date,
-    note,
-    mood,
-  });
+  const user = await User.findById(req.user.id);
+  const categories = [
+    ...user.categories,
+    ...user.customCategories.map((cat) => cat.name),
+  ];
+  const { draft, missing } = parseQuickAdd(text, { categories, dateFormat });
+
+  if (!commit) {
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, { draft, missing }, "Quick add preview generated")
+      );
+  }
 
-  // Rule 1: Update Budget Module Automatically
-  if (type === "expense") {
-    const transactionDate = new Date(date);
-    const month = `${transactionDate.getFullYear()}-${String(
-      transactionDate.getMonth() + 1
-    ).padStart(2, "0")}`;
-
-    // Find budget for this user and month (one budget per month)
-    const budget = await Budget.findOne({
-      user: req.user.id,
-      month: month,
-    });
-
-    if (budget) {
-      budget.spentSoFar += Number(amount);
-      await budget.save();
-    }
+  if (draft.amount === undefined) {
+    throw new ApiError(400, `Could not find an amount in "${text}"`);
   }
 
-  res
-    .status(201)
-    .json(new ApiResponse(201, transaction, "Transaction added successfully"));
+  // Rules may still categorize it; "Other" is the last resort
+  const { transaction, duplicates } = await createTransaction(
+    req.user.id,
+    { ...draft, account },
+    { defaultCategory: "Other" }
+  );
+
+  sendCreated(res, transaction, duplicates, "Transaction added");
 });
 
-// @desc    Get all transactions with Filters & Pagination
+// @desc    Get all transactions with Filters, Sorting & Pagination
 // @route   GET /api/transactions
 // @access  Private
 const getTransactions = asyncHandler(async (req, res) => {
   // 1. Destructure Query Params
-  const {
-    page = 1,
-    limit = 10,
-    search, // searches in 'note' or 'category'
-    type, // 'income' or 'expense'
-    category,
-    startDate,
-    endDate,
-  } = req.query;
-
-  // 2. Build Query Object
-  const query = { user: req.user.id };
-
-  // Apply filters
-  if (type) query.type = type;
-  if (category) {
-    // Case-insensitive category search
-    query.category = { $regex: new RegExp(`^${category}$`, "i") };
-  }
-  if (startDate || endDate) {
-    query.date = {};
-    if (startDate) query.date.$gte = new Date(startDate);
-    if (endDate) query.date.$lte = new Date(endDate);
-  }
+  // Passing `cursor` (empty for the first page) switches to cursor mode
+  const { page = 1, limit = 10, cursor } = req.query;
 
-  // Search Filter (Regex on note or category)
-  if (search) {
-    query.$or = [
-      { note: { $regex: search, $options: "i" } },
-      { category: { $regex: search, $options: "i" } },
-    ];
-  }
+  // 2. Build Query Object (search, type, category, account, tags, dates,
+  // amount range, mood) and sort (sortBy=date|amount|category, order)
+  const query = await applySearchFallback(
+    buildTransactionQuery(req.user.id, req.query)
+  );
+  const sort = buildSort(req.query);
 
   // 3. Pagination Logic
   const pageNum = Number(page);
   const limitNum = Number(limit);
   const skip = (pageNum - 1) * limitNum;
 
+  // Cursor mode: seek past the last row instead of skipping, no total count
+  if (cursor !== undefined) {
+    if (cursor) applyCursor(query, cursor, sort);
+
+    // One extra row tells whether there is a next page
+    const rows = await Transaction.find(query)
+      .sort(sort)
+      .limit(limitNum + 1);
+    const hasMore = rows.length > limitNum;
+    const transactions = rows.slice(0, limitNum);
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          transactions,
+          pagination: {
+            limit: limitNum,
+            hasMore,
+            nextCursor: hasMore
+              ? encodeCursor(transactions[transactions.length - 1], sort)
+              : null,
+          },
+        },
+        "Transactions fetched successfully"
+      )
+    );
+  }
+
   // 4. Exec Query
   const transactions = await Transaction.find(query)
-    .sort({ date: -1 })
+    .sort(sort)
     .skip(skip)
     .limit(limitNum);
 
@@ -141,14 +185,19 @@ const getMonthlyTransactions = asyncHandler(async (req, res) => {
   const categoryBreakdown = {};
 
   transactions.forEach((txn) => {
+    // Transfers move money between accounts and are not counted; refunds
+    // reduce expenses
     if (txn.type === "income") {
-      totalIncome += txn.amount;
-    } else {
-      totalExpenses += txn.amount;
-      if (!categoryBreakdown[txn.category]) {
-        categoryBreakdown[txn.category] = 0;
-      }
-      categoryBreakdown[txn.category] += txn.amount;
+      totalIncome += getBaseAmount(txn);
+    } else if (SPEND_TYPES.includes(txn.type)) {
+      totalExpenses += getSpendAmount(txn);
+      // Split transactions count each split under its own category
+      getCategoryParts(txn).forEach((part) => {
+        if (!categoryBreakdown[part.category]) {
+          categoryBreakdown[part.category] = 0;
+        }
+        categoryBreakdown[part.category] += part.baseAmount;
+      });
     }
   });
 
@@ -181,31 +230,13 @@ const deleteTransaction = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Not authorized to delete this transaction");
   }
 
-  // Rule 1: Update Budget Module Automatically (Revert)
-  if (transaction.type === "expense") {
-    const transactionDate = new Date(transaction.date);
-    const month = `${transactionDate.getFullYear()}-${String(
-      transactionDate.getMonth() + 1
-    ).padStart(2, "0")}`;
-
-    const budget = await Budget.findOne({
-      user: req.user.id,
-      month: month,
-    });
-
-    if (budget) {
-      budget.spentSoFar -= Number(transaction.amount);
-      // Prevent negative spentSoFar if logic drifts
-      if (budget.spentSoFar < 0) budget.spentSoFar = 0;
-      await budget.save();
-    }
-  }
+  assertNotReconciled(transaction, "deleted");
 
-  await transaction.deleteOne();
+  // Rule 1: Update Budget Module Automatically (Revert). The transaction
+  // and its receipts stay in the trash until restored or purged.
+  await trashTransaction(transaction, req.user.id);
 
-  res
-    .status(200)
-    .json(new ApiResponse(200, {}, "Transaction deleted successfully"));
+  res.status(200).json(new ApiResponse(200, {}, "Transaction moved to trash"));
 });
 
 // @desc    Update transaction
@@ -223,28 +254,38 @@ const updateTransaction = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Not authorized to update this transaction");
   }
 
-  // 1. Revert Old Budget Impact (if it was an expense)
-  if (transaction.type === "expense") {
-    const oldDate = new Date(transaction.date);
-    const oldMonth = `${oldDate.getFullYear()}-${String(
-      oldDate.getMonth() + 1
-    ).padStart(2, "0")}`;
-
-    const oldBudget = await Budget.findOne({
-      user: req.user.id,
-      month: oldMonth,
-    });
-
-    if (oldBudget) {
-      oldBudget.spentSoFar -= Number(transaction.amount);
-      if (oldBudget.spentSoFar < 0) oldBudget.spentSoFar = 0;
-      await oldBudget.save();
-    }
-  }
+  assertNotReconciled(transaction, "edited");
+
+  // Keep the old values to revert their budget impact after saving
+  const previous = transaction.toObject();
 
-  // 2. Update Transaction Fields
+  // 1. Update Transaction Fields
   // Only update fields that are provided in the body
-  const { amount, type, category, date, note, mood } = req.body;
+  const {
+    amount,
+    type,
+    category,
+    date,
+    note,
+    mood,
+    splits,
+    currency,
+    tags,
+    payee,
+    reimbursable,
+    status,
+  } = req.body;
+
+  if (req.body.account) {
+    transaction.account = (
+      await resolveAccount(req.user.id, req.body.account)
+    )._id;
+  }
+  if (req.body.toAccount) {
+    transaction.toAccount = (
+      await resolveAccount(req.user.id, req.body.toAccount)
+    )._id;
+  }
 
   transaction.amount = amount || transaction.amount;
   transaction.type = type || transaction.type;
@@ -252,26 +293,56 @@ const updateTransaction = asyncHandler(async (req, res) => {
   transaction.date = date || transaction.date;
   transaction.note = note !== undefined ? note : transaction.note;
   transaction.mood = mood !== undefined ? mood : transaction.mood;
+  if (tags !== undefined) transaction.tags = normalizeTags(tags);
+  if (reimbursable !== undefined) transaction.reimbursable = reimbursable;
+  // Pending or cleared; reconciling happens through /api/reconciliations
+  if (status !== undefined) {
+    if (status === "reconciled") {
+      throw new ApiError(
+        400,
+        "Transactions are reconciled through /api/reconciliations"
+      );
+    }
+    transaction.status = status;
+  }
+  // Pass null to unlink the payee; a new note is matched if none is set
+  if (payee !== undefined || (note !== undefined && !transaction.payee)) {
+    const matched =
+      payee === null ? null : await resolvePayee(req.user.id, { payee, note });
+    transaction.payee = matched ? matched._id : undefined;
+  }
+  // Only transfers keep a destination account
+  if (transaction.type !== "transfer") transaction.toAccount = undefined;
+  // Pass an empty array (or null) to remove the splits
+  if (splits !== undefined) {
+    transaction.splits = splits && splits.length > 0 ? splits : undefined;
+  } else {
+    // Splits a refund took from its expense follow its new amount
+    rescaleRefundSplits(transaction, previous);
+  }
+  // Re-convert when the amount, date or currency changes
+  if (amount || date || currency) {
+    if (currency) transaction.currency = currency;
+    await applyExchangeRate(req.user.id, transaction);
+  }
 
+  // Refund amounts must stay within their expense
+  await assertRefundUpdateAllowed(transaction, previous);
+
+  // Validation (e.g. split totals) runs before any budget is touched
   await transaction.save();
 
+  // 2. Revert Old Budget Impact (if it was an expense)
+  await applyTransactionToBudget(previous, -1);
+
   // 3. Apply New Budget Impact (if it is now an expense)
-  if (transaction.type === "expense") {
-    const newDate = new Date(transaction.date);
-    const newMonth = `${newDate.getFullYear()}-${String(
-      newDate.getMonth() + 1
-    ).padStart(2, "0")}`;
-
-    const newBudget = await Budget.findOne({
-      user: req.user.id,
-      month: newMonth,
-    });
-
-    if (newBudget) {
-      newBudget.spentSoFar += Number(transaction.amount);
-      await newBudget.save();
-    }
-  }
+  await applyTransactionToBudget(transaction);
+
+  // 4. Record the change in the edit history
+  await recordChange(transaction, "update", {
+    before: previous,
+    userId: req.user.id,
+  });
 
   res
     .status(200)
@@ -280,10 +351,90 @@ const updateTransaction = asyncHandler(async (req, res) => {
     );
 });
 
+// @desc    Apply one action to many transactions (all-or-nothing)
+// @route   POST /api/transactions/bulk
+// @access  Private
+const bulkUpdateTransactions = asyncHandler(async (req, res) => {
+  // { action, ids | filter, category, tags: { add, remove }, mood, days }
+  const result = await runBulkOperation(req.user.id, req.body);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, result, "Bulk operation completed successfully")
+    );
+});
+
+// @desc    Get edit history of a transaction
+// @route   GET /api/transactions/:id/history
+// @access  Private
+const getTransactionHistory = asyncHandler(async (req, res) => {
+  // History stays readable while the transaction is in the trash
+  const transaction = await Transaction.findById(req.params.id).setOptions({
+    withDeleted: true,
+  });
+
+  if (!transaction) {
+    throw new ApiError(404, "Transaction not found");
+  }
+
+  // Ensure user owns transaction
+  if (transaction.user.toString() !== req.user.id) {
+    throw new ApiError(401, "Not authorized to view this transaction");
+  }
+
+  const history = await getHistory(transaction._id);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { history },
+        "Transaction history fetched successfully"
+      )
+    );
+});
+
+// @desc    Revert a transaction to an earlier version
+// @route   POST /api/transactions/:id/history/:version/revert
+// @access  Private
+const revertTransaction = asyncHandler(async (req, res) => {
+  const transaction = await Transaction.findById(req.params.id);
+
+  if (!transaction) {
+    throw new ApiError(404, "Transaction not found");
+  }
+
+  // Ensure user owns transaction
+  if (transaction.user.toString() !== req.user.id) {
+    throw new ApiError(401, "Not authorized to update this transaction");
+  }
+
+  assertNotReconciled(transaction, "reverted");
+
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ApiError(400, "Invalid version");
+  }
+
+  await revertToVersion(transaction, version, req.user.id);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, transaction, "Transaction reverted successfully")
+    );
+});
+
 module.exports = {
   addTransaction,
+  quickAddTransaction,
   getTransactions,
   getMonthlyTransactions,
   deleteTransaction,
   updateTransaction,
+  getTransactionHistory,
+  revertTransaction,
+  bulkUpdateTransactions,
 };
@@ -0,0 +1,135 @@
+const Transaction = require("../models/Transaction");
+const Bill = require("../models/Bill");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const {
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  restoreTransaction,
+  purgeTransaction,
+  purgeTrash,
+} = require("../services/trashService");
+
+// Trashed documents are only found when the query filters on deletedAt
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+// Helper to load a trashed document and ensure the user owns it
+const findTrashed = async (Model, req, label) => {
+  const doc = await Model.findOne({ _id: req.params.id, ...IN_TRASH });
+
+  if (!doc) {
+    throw new ApiError(404, `${label} not found in trash`);
+  }
+
+  if (doc.user.toString() !== req.user.id) {
+    throw new ApiError(
+      401,
+      `Not authorized to update this ${label.toLowerCase()}`
+    );
+  }
+
+  return doc;
+};
+
+// Helper to add the purge date to trashed documents
+const withPurgeDate = (docs) =>
+  docs.map((doc) => ({
+    ...doc.toObject(),
+    purgeAt: getPurgeDate(doc.deletedAt),
+  }));
+
+// @desc    Get deleted transactions and bills
+// @route   GET /api/trash?type=transaction|bill
+// @access  Private
+const getTrash = asyncHandler(async (req, res) => {
+  const { type } = req.query;
+  const query = { user: req.user.id, ...IN_TRASH };
+
+  const [transactions, bills] = await Promise.all([
+    type === "bill" ? [] : Transaction.find(query).sort({ deletedAt: -1 }),
+    type === "transaction" ? [] : Bill.find(query).sort({ deletedAt: -1 }),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        transactions: withPurgeDate(transactions),
+        bills: withPurgeDate(bills),
+        retentionDays: TRASH_RETENTION_DAYS,
+      },
+      "Trash fetched successfully"
+    )
+  );
+});
+
+// @desc    Restore a deleted transaction
+// @route   POST /api/trash/transactions/:id/restore
+// @access  Private
+const restoreTrashedTransaction = asyncHandler(async (req, res) => {
+  const transaction = await findTrashed(Transaction, req, "Transaction");
+
+  await restoreTransaction(transaction, req.user.id);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, transaction, "Transaction restored successfully")
+    );
+});
+
+// @desc    Restore a deleted bill
+// @route   POST /api/trash/bills/:id/restore
+// @access  Private
+const restoreTrashedBill = asyncHandler(async (req, res) => {
+  const bill = await findTrashed(Bill, req, "Bill");
+
+  await bill.restore();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, bill, "Bill restored successfully"));
+});
+
+// @desc    Permanently delete a trashed transaction
+// @route   DELETE /api/trash/transactions/:id
+// @access  Private
+const purgeTrashedTransaction = asyncHandler(async (req, res) => {
+  const transaction = await findTrashed(Transaction, req, "Transaction");
+
+  await purgeTransaction(transaction);
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Transaction permanently deleted"));
+});
+
+// @desc    Permanently delete a trashed bill
+// @route   DELETE /api/trash/bills/:id
+// @access  Private
+const purgeTrashedBill = asyncHandler(async (req, res) => {
+  const bill = await findTrashed(Bill, req, "Bill");
+
+  await bill.deleteOne();
+
+  res.status(200).json(new ApiResponse(200, {}, "Bill permanently deleted"));
+});
+
+// @desc    Empty the trash
+// @route   DELETE /api/trash
+// @access  Private
+const emptyTrash = asyncHandler(async (req, res) => {
+  const purged = await purgeTrash(req.user.id, new Date());
+
+  res.status(200).json(new ApiResponse(200, purged, "Trash emptied"));
+});
+
+module.exports = {
+  getTrash,
+  restoreTrashedTransaction,
+  restoreTrashedBill,
+  purgeTrashedTransaction,
+  purgeTrashedBill,
+  emptyTrash,
+};
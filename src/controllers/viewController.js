@@ -0,0 +1,183 @@
+const SavedView = require("../models/SavedView");
+const Transaction = require("../models/Transaction");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const { normalizeTags } = require("../utils/tags");
+const {
+  buildTransactionQuery,
+  buildSort,
+} = require("../utils/transactionQuery");
+const {
+  getViewParams,
+  summarizeTransactions,
+} = require("../services/viewService");
+const { applySearchFallback } = require("../services/transactionService");
+
+// Helper to load a view and ensure the user owns it
+const findUserView = async (req, action) => {
+  const view = await SavedView.findById(req.params.id);
+
+  if (!view) {
+    throw new ApiError(404, "View not found");
+  }
+
+  if (view.user.toString() !== req.user.id) {
+    throw new ApiError(401, `Not authorized to ${action} this view`);
+  }
+
+  return view;
+};
+
+// Helper to read the filters from a request (tags cleaned like on transactions)
+const readFilters = (filters = {}) => ({
+  ...filters,
+  tags: normalizeTags(filters.tags),
+});
+
+// Helper to read a date range; a preset name alone ("last_30_days") is
+// accepted as shorthand
+const readDateRange = (dateRange) =>
+  typeof dateRange === "string" ? { preset: dateRange } : dateRange || {};
+
+// Helper to keep view names unique per user
+const assertNameAvailable = async (userId, name, excludeId) => {
+  const existing = await SavedView.findOne({
+    user: userId,
+    name,
+    _id: { $ne: excludeId },
+  });
+  if (existing) {
+    throw new ApiError(400, "A view with this name already exists");
+  }
+};
+
+// @desc    Create saved view
+// @route   POST /api/views
+// @access  Private
+const createView = asyncHandler(async (req, res) => {
+  const { name, filters, dateRange, sortBy, order } = req.body;
+
+  if (!name) {
+    throw new ApiError(400, "Name is required");
+  }
+
+  await assertNameAvailable(req.user.id, name.trim());
+
+  const view = await SavedView.create({
+    user: req.user.id,
+    name,
+    filters: readFilters(filters),
+    dateRange: readDateRange(dateRange),
+    sortBy,
+    order,
+  });
+
+  res.status(201).json(new ApiResponse(201, view, "View created successfully"));
+});
+
+// @desc    Get all saved views
+// @route   GET /api/views
+// @access  Private
+const getViews = asyncHandler(async (req, res) => {
+  const views = await SavedView.find({ user: req.user.id }).sort({ name: 1 });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, { views }, "Views fetched successfully"));
+});
+
+// @desc    Get single saved view
+// @route   GET /api/views/:id
+// @access  Private
+const getViewById = asyncHandler(async (req, res) => {
+  const view = await findUserView(req, "view");
+
+  res.status(200).json(new ApiResponse(200, view, "View fetched successfully"));
+});
+
+// @desc    Update saved view
+// @route   PUT /api/views/:id
+// @access  Private
+const updateView = asyncHandler(async (req, res) => {
+  const view = await findUserView(req, "update");
+  const { name, filters, dateRange, sortBy, order } = req.body;
+
+  if (name) {
+    await assertNameAvailable(req.user.id, name.trim(), view._id);
+    view.name = name;
+  }
+  // Filters and date range are replaced as a whole
+  if (filters) view.filters = readFilters(filters);
+  if (dateRange !== undefined) view.dateRange = readDateRange(dateRange);
+  view.sortBy = sortBy || view.sortBy;
+  view.order = order || view.order;
+
+  await view.save();
+
+  res.status(200).json(new ApiResponse(200, view, "View updated successfully"));
+});
+
+// @desc    Delete saved view
+// @route   DELETE /api/views/:id
+// @access  Private
+const deleteView = asyncHandler(async (req, res) => {
+  const view = await findUserView(req, "delete");
+
+  await view.deleteOne();
+
+  res.status(200).json(new ApiResponse(200, {}, "View deleted successfully"));
+});
+
+// @desc    Run a saved view: matching transactions, totals and category breakdown
+// @route   GET /api/views/:id/transactions?page=1&limit=10
+// @access  Private
+const getViewTransactions = asyncHandler(async (req, res) => {
+  const view = await findUserView(req, "view");
+  const { page = 1, limit = 10 } = req.query;
+
+  // Relative ranges ("last 30 days") are resolved against today
+  const params = getViewParams(view);
+  const query = await applySearchFallback(
+    buildTransactionQuery(req.user.id, params)
+  );
+
+  const pageNum = Number(page);
+  const limitNum = Number(limit);
+
+  const [transactions, summary] = await Promise.all([
+    Transaction.find(query)
+      .sort(buildSort(params))
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    summarizeTransactions(query),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        view,
+        dateRange: { startDate: params.startDate, endDate: params.endDate },
+        transactions,
+        ...summary,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          totalPages: Math.ceil(summary.totals.count / limitNum),
+          totalTransactions: summary.totals.count,
+        },
+      },
+      "View transactions fetched successfully"
+    )
+  );
+});
+
+module.exports = {
+  createView,
+  getViews,
+  getViewById,
+  updateView,
+  deleteView,
+  getViewTransactions,
+};
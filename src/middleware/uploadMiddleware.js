@@ -1,4 +1,5 @@
 const multer = require("multer");
+const path = require("path");
 const { ApiError } = require("../utils/ApiError");
 
 // Use memory storage for ImageKit upload
@@ -22,4 +23,53 @@ const upload = multer({
   },
 });
 
-module.exports = upload;
+// Statement files accepted by the transaction import
+const IMPORT_EXTENSIONS = [".csv", ".ofx", ".qfx", ".qif"];
+
+// File filter for import files (browsers send these with varying mimetypes)
+const importFileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  if (IMPORT_EXTENSIONS.includes(extension)) {
+    cb(null, true);
+  } else {
+    cb(
+      new ApiError(
+        400,
+        `Only ${IMPORT_EXTENSIONS.join(", ")} files can be imported`
+      ),
+      false
+    );
+  }
+};
+
+const importUpload = multer({
+  storage,
+  fileFilter: importFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+});
+
+// File filter for receipts (images or PDFs)
+const attachmentFileFilter = (req, file, cb) => {
+  if (
+    file.mimetype.startsWith("image/") ||
+    file.mimetype === "application/pdf"
+  ) {
+    cb(null, true);
+  } else {
+    cb(new ApiError(400, "Only image or PDF files can be attached"), false);
+  }
+};
+
+const attachmentUpload = multer({
+  storage,
+  fileFilter: attachmentFileFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 5,
+  },
+});
+
+module.exports = { upload, importUpload, attachmentUpload };
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+const accountSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Please add an account name"],
+      trim: true,
+    },
+    type: {
+      type: String,
+      required: [true, "Please add an account type"],
+      enum: ["cash", "bank", "credit_card", "savings"],
+    },
+    // Balance before the first tracked transaction (negative = money owed)
+    openingBalance: {
+      type: Number,
+      default: 0,
+    },
+    openingDate: {
+      type: Date,
+      default: Date.now,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Account names are unique per user
+accountSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("Account", accountSchema);
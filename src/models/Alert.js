@@ -23,6 +23,7 @@ const alertSchema = new mongoose.Schema({
   },
   metadata: {
     budgetUsage: Number,
+    month: String, // Budget period key of a budget alert
     billId: mongoose.Schema.Types.ObjectId,
     billName: String,
     dueDate: Date,
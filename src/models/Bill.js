@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const softDeletePlugin = require("./plugins/softDelete");
 
 const billSchema = mongoose.Schema(
   {
@@ -25,6 +26,21 @@ const billSchema = mongoose.Schema(
       type: Date,
       required: [true, "Please add a due date"],
     },
+    currency: {
+      type: String,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO code"],
+      required: false,
+    },
+    // Rate to the user's base currency on the due date, and the converted amount
+    exchangeRate: {
+      type: Number,
+      required: false,
+    },
+    baseAmount: {
+      type: Number,
+      required: false,
+    },
     status: {
       type: String,
       enum: ["pending", "paid"],
@@ -36,4 +52,7 @@ const billSchema = mongoose.Schema(
   }
 );
 
+// Deleted documents stay in the trash until purged
+billSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model("Bill", billSchema);
@@ -1,4 +1,39 @@
 const mongoose = require("mongoose");
+const { PERIOD_TYPES } = require("../utils/budgetPeriods");
+
+// Part of a month's budget set aside for one category
+const categoryBudgetSchema = mongoose.Schema(
+  {
+    category: {
+      type: String,
+      required: [true, "Please add a category"],
+      trim: true,
+    },
+    // In the budget's currency, like monthlyBudget
+    amount: {
+      type: Number,
+      required: [true, "Please add a category budget"],
+      validate: {
+        validator: function (v) {
+          return v > 0;
+        },
+        message: "Category budget must be greater than 0",
+      },
+    },
+    // Opt-in: the category's leftover (or overspend) of the previous period
+    // is added to its limit
+    rollover: {
+      type: Boolean,
+      default: false,
+    },
+    // Base currency; kept up to date by budgetService.refreshRollover
+    carriedOver: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
 
 const budgetSchema = mongoose.Schema(
   {
@@ -7,10 +42,18 @@ const budgetSchema = mongoose.Schema(
       required: true,
       ref: "User",
     },
+    // Period key: YYYY-MM for calendar months, otherwise the period's
+    // start date YYYY-MM-DD (see utils/budgetPeriods)
     month: {
-      type: String, // Format: YYYY-MM
+      type: String,
       required: true,
     },
+    period: {
+      type: String,
+      enum: PERIOD_TYPES,
+      default: "monthly",
+    },
+    // Limit for the period (the name predates non-monthly periods)
     monthlyBudget: {
       type: Number,
       required: [true, "Please add a monthly budget"],
@@ -21,17 +64,65 @@ const budgetSchema = mongoose.Schema(
         message: "Monthly budget must be greater than 0",
       },
     },
+    currency: {
+      type: String,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO code"],
+      required: false,
+    },
+    // Rate to the user's base currency at the start of the period; the
+    // limit in base currency is monthlyBudget * exchangeRate
+    exchangeRate: {
+      type: Number,
+      required: false,
+    },
+    // Always in the user's base currency
     spentSoFar: {
       type: Number,
       default: 0,
     },
+    // Opt-in: the previous period's leftover (or overspend) is added to
+    // this period's limit
+    rollover: {
+      type: Boolean,
+      default: false,
+    },
+    // Amount carried from the previous period, in base currency
+    carriedOver: {
+      type: Number,
+      default: 0,
+    },
+    // Optional per-category limits; the rest of the budget is unallocated
+    categories: {
+      type: [categoryBudgetSchema],
+      default: [],
+    },
   },
   {
     timestamps: true,
   }
 );
 
-// Ensure one budget per user per month
+// Category allocations must fit in the monthly budget
+budgetSchema.pre("validate", function () {
+  // Entries without a name are left to the required validator
+  const names = this.categories
+    .map((c) => (c.category || "").toLowerCase())
+    .filter(Boolean);
+  if (new Set(names).size !== names.length) {
+    this.invalidate("categories", "Each category can only be budgeted once");
+  }
+
+  const allocated = this.categories.reduce((sum, c) => sum + c.amount, 0);
+  if (allocated - this.monthlyBudget >= 0.01) {
+    this.invalidate(
+      "categories",
+      `Category budgets (${allocated}) cannot exceed the monthly budget (${this.monthlyBudget})`
+    );
+  }
+});
+
+// Ensure one budget per user per period
 budgetSchema.index({ user: 1, month: 1 }, { unique: true });
 
 module.exports = mongoose.model("Budget", budgetSchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Envelope budgeting: money allocated to a category. The balance is what
+// was allocated (see EnvelopeAllocation) less the category's spending.
+const envelopeSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    category: {
+      type: String,
+      required: [true, "Please add a category"],
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+envelopeSchema.index({ user: 1, category: 1 }, { unique: true });
+
+module.exports = mongoose.model("Envelope", envelopeSchema);
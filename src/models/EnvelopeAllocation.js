@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// One movement of money in envelope budgeting. A missing `from` or `to`
+// is the unassigned pool: pool -> envelope allocates, envelope -> envelope
+// moves, envelope -> pool gives money back.
+const envelopeAllocationSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Envelope",
+      required: false,
+    },
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Envelope",
+      required: false,
+    },
+    // In the user's base currency
+    amount: {
+      type: Number,
+      required: [true, "Please add an amount"],
+      validate: {
+        validator: function (v) {
+          return v > 0;
+        },
+        message: "Amount must be greater than 0",
+      },
+    },
+    note: {
+      type: String,
+      required: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+envelopeAllocationSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("EnvelopeAllocation", envelopeAllocationSchema);
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+const exchangeRateSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    // 1 unit of `from` = `rate` units of `to`
+    from: {
+      type: String,
+      required: [true, "Please add the source currency"],
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO code"],
+    },
+    to: {
+      type: String,
+      required: [true, "Please add the target currency"],
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO code"],
+    },
+    rate: {
+      type: Number,
+      required: [true, "Please add a rate"],
+      validate: {
+        validator: function (v) {
+          return v > 0;
+        },
+        message: "Rate must be greater than 0",
+      },
+    },
+    // Rate is valid from this day until the next dated rate
+    date: {
+      type: Date,
+      required: [true, "Please add a date"],
+    },
+    source: {
+      type: String,
+      enum: ["manual", "upload"],
+      default: "manual",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One rate per currency pair per day
+exchangeRateSchema.index(
+  { user: 1, from: 1, to: 1, date: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model("ExchangeRate", exchangeRateSchema);
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+const payeeSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    name: {
+      type: String,
+      required: [true, "Please add a payee name"],
+      trim: true,
+    },
+    // Normalized form of the name (see services/payeeService)
+    normalizedName: {
+      type: String,
+      required: true,
+    },
+    // Other normalized spellings that match this payee ("uber trip", ...)
+    aliases: [String],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+payeeSchema.index({ user: 1, normalizedName: 1 }, { unique: true });
+payeeSchema.index({ user: 1, aliases: 1 });
+
+module.exports = mongoose.model("Payee", payeeSchema);
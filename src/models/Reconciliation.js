@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// Matching an account against a bank statement: transactions are ticked
+// off as cleared until their balance equals the statement's ending balance,
+// then locked as reconciled
+const reconciliationSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Please add the account to reconcile"],
+      ref: "Account",
+    },
+    statementDate: {
+      type: Date,
+      required: [true, "Please add the statement end date"],
+    },
+    // Ending balance on the statement (base currency, like account balances)
+    statementBalance: {
+      type: Number,
+      required: [true, "Please add the statement ending balance"],
+    },
+    status: {
+      type: String,
+      enum: ["in_progress", "completed"],
+      default: "in_progress",
+    },
+    completedAt: {
+      type: Date,
+      required: false,
+    },
+    // Transactions locked on completion (unlocked again by an undo)
+    transactions: [
+      { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reconciliationSchema.index({ user: 1, account: 1, statementDate: -1 });
+// One open session per account
+reconciliationSchema.index(
+  { account: 1 },
+  { unique: true, partialFilterExpression: { status: "in_progress" } }
+);
+
+module.exports = mongoose.model("Reconciliation", reconciliationSchema);
@@ -0,0 +1,111 @@
+const mongoose = require("mongoose");
+
+const recurringTransactionSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    type: {
+      type: String,
+      required: [true, "Please add a transaction type"],
+      enum: ["income", "expense"],
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: false,
+    },
+    category: {
+      type: String,
+      required: [true, "Please add a category"],
+    },
+    amount: {
+      type: Number,
+      required: [true, "Please add a positive amount"],
+      validate: {
+        validator: function (v) {
+          return v > 0;
+        },
+        message: "Amount must be greater than 0",
+      },
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO code"],
+      required: false,
+    },
+    note: {
+      type: String,
+      required: false,
+    },
+    mood: {
+      type: String,
+      enum: [
+        "happy",
+        "sad",
+        "angry",
+        "stressed",
+        "bored",
+        "excited",
+        "neutral",
+      ],
+      required: false,
+    },
+    frequency: {
+      type: String,
+      required: [true, "Please add a frequency"],
+      enum: ["daily", "weekly", "monthly", "yearly"],
+    },
+    interval: {
+      type: Number, // Every N days/weeks/months/years
+      default: 1,
+      min: [1, "Interval must be at least 1"],
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Please add a start date"],
+    },
+    endDate: {
+      type: Date,
+      required: false,
+    },
+    // Single occurrence changes, keyed by the scheduled date (YYYY-MM-DD)
+    exceptions: [
+      {
+        date: { type: String, required: true },
+        action: { type: String, enum: ["skip", "override"], required: true },
+        amount: Number,
+        category: String,
+        note: String,
+        mood: String,
+      },
+    ],
+    // Number of occurrences already processed (posted or skipped)
+    occurrenceCount: {
+      type: Number,
+      default: 0,
+    },
+    nextRunDate: {
+      type: Date,
+      index: true,
+    },
+    lastRunAt: Date,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+recurringTransactionSchema.index({ isActive: 1, nextRunDate: 1 });
+
+module.exports = mongoose.model(
+  "RecurringTransaction",
+  recurringTransactionSchema
+);
@@ -0,0 +1,116 @@
+const mongoose = require("mongoose");
+const { getPatternProblem } = require("../utils/notePattern");
+
+const ruleSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Please add a rule name"],
+      trim: true,
+    },
+    // Lower numbers run first; the first matching rule sets category/mood
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // All given conditions must match
+    conditions: {
+      noteContains: { type: String, trim: true },
+      noteRegex: {
+        type: String,
+        validate: [
+          {
+            validator: function (v) {
+              try {
+                new RegExp(v);
+                return true;
+              } catch (error) {
+                return false;
+              }
+            },
+            message: "Note pattern is not a valid regular expression",
+          },
+          {
+            // Patterns run on every transaction; reject ones that can hang
+            validator: function (v) {
+              return !getPatternProblem(v);
+            },
+            message: (props) => getPatternProblem(props.value),
+          },
+        ],
+      },
+      minAmount: {
+        type: Number,
+        min: [0, "Minimum amount cannot be negative"],
+      },
+      maxAmount: {
+        type: Number,
+        min: [0, "Maximum amount cannot be negative"],
+      },
+      type: { type: String, enum: ["income", "expense"] },
+    },
+    actions: {
+      category: { type: String, trim: true },
+      tags: [{ type: String, trim: true, lowercase: true }],
+      mood: {
+        type: String,
+        enum: [
+          "happy",
+          "sad",
+          "angry",
+          "stressed",
+          "bored",
+          "excited",
+          "neutral",
+        ],
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A rule needs something to match on and something to set
+ruleSchema.pre("validate", function () {
+  const { noteContains, noteRegex, minAmount, maxAmount, type } =
+    this.conditions || {};
+  const { category, tags, mood } = this.actions || {};
+
+  if (
+    !noteContains &&
+    !noteRegex &&
+    minAmount === undefined &&
+    maxAmount === undefined &&
+    !type
+  ) {
+    this.invalidate("conditions", "Please add at least one condition");
+  }
+
+  if (
+    minAmount !== undefined &&
+    maxAmount !== undefined &&
+    minAmount > maxAmount
+  ) {
+    this.invalidate(
+      "conditions.maxAmount",
+      "Maximum amount must be at least the minimum amount"
+    );
+  }
+
+  if (!category && !(tags && tags.length > 0) && !mood) {
+    this.invalidate("actions", "Please add a category, tags or mood to set");
+  }
+});
+
+module.exports = mongoose.model("Rule", ruleSchema);
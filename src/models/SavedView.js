@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+const { DATE_PRESETS } = require("../utils/dateRanges");
+const { SORT_FIELDS } = require("../utils/transactionQuery");
+
+// A named transaction list filter ("Groceries this quarter", ...). Filters
+// use the same names as the GET /api/transactions query parameters.
+const savedViewSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    name: {
+      type: String,
+      required: [true, "Please add a view name"],
+      trim: true,
+    },
+    filters: {
+      search: { type: String, trim: true },
+      type: {
+        type: String,
+        enum: ["income", "expense", "transfer", "refund"],
+      },
+      category: { type: String, trim: true },
+      account: { type: mongoose.Schema.Types.ObjectId, ref: "Account" },
+      payee: { type: mongoose.Schema.Types.ObjectId, ref: "Payee" },
+      tags: [{ type: String, trim: true, lowercase: true }],
+      tagMatch: { type: String, enum: ["any", "all"] },
+      minAmount: {
+        type: Number,
+        min: [0, "Minimum amount cannot be negative"],
+      },
+      maxAmount: {
+        type: Number,
+        min: [0, "Maximum amount cannot be negative"],
+      },
+      mood: {
+        type: String,
+        enum: [
+          "happy",
+          "sad",
+          "angry",
+          "stressed",
+          "bored",
+          "excited",
+          "neutral",
+        ],
+      },
+    },
+    // A relative preset is resolved each time the view runs; "custom"
+    // uses the fixed dates
+    dateRange: {
+      preset: { type: String, enum: [...DATE_PRESETS, "custom"] },
+      startDate: Date,
+      endDate: Date,
+    },
+    sortBy: {
+      type: String,
+      enum: SORT_FIELDS,
+      default: "date",
+    },
+    order: {
+      type: String,
+      enum: ["asc", "desc"],
+      default: "desc",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+savedViewSchema.index({ user: 1, name: 1 }, { unique: true });
+
+// Custom ranges need at least one date
+savedViewSchema.pre("validate", function () {
+  const { preset, startDate, endDate } = this.dateRange || {};
+  if (preset === "custom" && !startDate && !endDate) {
+    this.invalidate(
+      "dateRange",
+      "Please add a start or end date for a custom range"
+    );
+  }
+});
+
+module.exports = mongoose.model("SavedView", savedViewSchema);
@@ -1,4 +1,59 @@
 const mongoose = require("mongoose");
+const softDeletePlugin = require("./plugins/softDelete");
+
+// Part of a transaction assigned to its own category
+const splitSchema = mongoose.Schema(
+  {
+    category: {
+      type: String,
+      required: [true, "Please add a split category"],
+    },
+    amount: {
+      type: Number,
+      required: [true, "Please add a split amount"],
+      validate: {
+        validator: function (v) {
+          return v > 0;
+        },
+        message: "Split amount must be greater than 0",
+      },
+    },
+    note: {
+      type: String,
+      required: false,
+    },
+  },
+  { _id: false }
+);
+
+// Receipt file kept by a storage adapter (see services/storage)
+const attachmentSchema = mongoose.Schema({
+  originalName: {
+    type: String,
+    required: true,
+  },
+  mimeType: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number,
+    required: true,
+  },
+  // Adapter that holds the file and its key there
+  storage: {
+    type: String,
+    required: true,
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
 
 const transactionSchema = mongoose.Schema(
   {
@@ -10,7 +65,42 @@ const transactionSchema = mongoose.Schema(
     type: {
       type: String,
       required: [true, "Please add a transaction type"],
-      enum: ["income", "expense"],
+      // Transfers move money between two accounts and are neither
+      // income nor expense. Refunds (and reimbursements) give back part of
+      // an expense and reduce its spend.
+      enum: ["income", "expense", "transfer", "refund"],
+    },
+    // Expense a refund belongs to, refunds only
+    refundOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      required: [
+        function () {
+          return this.type === "refund";
+        },
+        "Please add the expense this refund belongs to",
+      ],
+    },
+    // Expense that someone owes back (e.g. work expenses)
+    reimbursable: {
+      type: Boolean,
+      required: false,
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: false,
+    },
+    // Destination account, transfers only
+    toAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: [
+        function () {
+          return this.type === "transfer";
+        },
+        "Please add the account to transfer to",
+      ],
     },
     category: {
       type: String,
@@ -30,10 +120,31 @@ const transactionSchema = mongoose.Schema(
       type: Date,
       required: [true, "Please add a date"],
     },
+    currency: {
+      type: String,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO code"],
+      required: false,
+    },
+    // Rate to the user's base currency on the transaction date, and the converted amount
+    exchangeRate: {
+      type: Number,
+      required: false,
+    },
+    baseAmount: {
+      type: Number,
+      required: false,
+    },
     note: {
       type: String,
       required: false,
     },
+    // Merchant, matched from the note or given explicitly
+    payee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payee",
+      required: false,
+    },
     mood: {
       type: String,
       enum: [
@@ -47,10 +158,110 @@ const transactionSchema = mongoose.Schema(
       ],
       required: false,
     },
+    // Optional breakdown across categories; must sum to amount
+    splits: {
+      type: [splitSchema],
+      default: undefined,
+    },
+    // Bank status: cleared once it shows on a statement, reconciled (and
+    // locked against edits) when a reconciliation is completed
+    status: {
+      type: String,
+      enum: ["pending", "cleared", "reconciled"],
+      default: "pending",
+    },
+    // Set when the transaction was posted by a recurring rule
+    recurring: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RecurringTransaction",
+      required: false,
+    },
+    // Bank transaction id (e.g. OFX FITID) used to skip re-imported rows
+    externalId: {
+      type: String,
+      required: false,
+    },
+    // Free-form labels that cut across categories (e.g. "vacation-2026")
+    tags: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+    attachments: {
+      type: [attachmentSchema],
+      default: [],
+    },
+    // Transactions the user confirmed are not duplicates of this one
+    notDuplicateOf: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Transaction" }],
+      default: undefined,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// A transfer needs two different accounts
+transactionSchema.pre("validate", function () {
+  if (this.type !== "transfer") return;
+
+  if (!this.account) {
+    this.invalidate("account", "Please add the account to transfer from");
+  } else if (this.toAccount && this.account.equals(this.toAccount)) {
+    this.invalidate("toAccount", "Cannot transfer to the same account");
+  }
+});
+
+// Only expenses can be owed back
+transactionSchema.pre("validate", function () {
+  if (this.reimbursable && this.type !== "expense") {
+    this.invalidate("reimbursable", "Only expenses can be reimbursable");
+  }
+});
+
+// Splits must add up to the parent amount (to the cent)
+transactionSchema.pre("validate", function () {
+  if (!this.splits || this.splits.length === 0) return;
+
+  const total = this.splits.reduce((sum, split) => sum + split.amount, 0);
+  if (Math.abs(total - this.amount) >= 0.01) {
+    this.invalidate(
+      "splits",
+      `Split amounts (${total}) must add up to the transaction amount (${this.amount})`
+    );
+  }
+});
+
+transactionSchema.index({ user: 1, account: 1, date: 1 });
+
+transactionSchema.index({ user: 1, date: -1, _id: -1 });
+transactionSchema.index({ user: 1, amount: -1, _id: -1 });
+transactionSchema.index({ user: 1, category: 1, _id: 1 });
+transactionSchema.index({ user: 1, tags: 1 });
+transactionSchema.index({ user: 1, payee: 1 });
+transactionSchema.index({ user: 1, refundOf: 1 });
+// Full-text search of the transaction list
+transactionSchema.index(
+  { note: "text", category: "text", "splits.category": "text" },
+  { weights: { note: 2 }, name: "transaction_text" }
+);
+// A recurring rule posts each occurrence once, even if a run is retried
+transactionSchema.index(
+  { recurring: 1, date: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { recurring: { $exists: true } },
+  }
+);
+transactionSchema.index(
+  { user: 1, externalId: 1 },
+  { partialFilterExpression: { externalId: { $exists: true } } }
+);
+
+// Deleted documents stay in the trash until purged
+transactionSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model("Transaction", transactionSchema);
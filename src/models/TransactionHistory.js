@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// One version of a transaction: the full tracked state after a change plus
+// the field-level diff against the previous version
+const transactionHistorySchema = mongoose.Schema(
+  {
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Transaction",
+    },
+    // Owner of the transaction
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    // Who made the change (empty for scheduled jobs)
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    source: {
+      type: String,
+      enum: ["user", "import", "recurring", "rule", "merge"],
+      default: "user",
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    // "baseline" is the state found when a transaction created before
+    // history was recorded is first changed
+    action: {
+      type: String,
+      enum: ["baseline", "create", "update", "delete", "restore", "revert"],
+      required: true,
+    },
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+transactionHistorySchema.index(
+  { transaction: 1, version: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model("TransactionHistory", transactionHistorySchema);
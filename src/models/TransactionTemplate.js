@@ -0,0 +1,113 @@
+const mongoose = require("mongoose");
+
+// A preset for irregular but repeated entries ("Fuel - Car - 5000"). The
+// amount is either fixed or asked for at apply time within a range.
+const transactionTemplateSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    name: {
+      type: String,
+      required: [true, "Please add a template name"],
+      trim: true,
+    },
+    type: {
+      type: String,
+      required: [true, "Please add a transaction type"],
+      enum: ["income", "expense"],
+    },
+    category: {
+      type: String,
+      required: [true, "Please add a category"],
+      trim: true,
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: false,
+    },
+    // Preset amount; when missing, the amount is given on apply
+    amount: {
+      type: Number,
+      min: [0.01, "Amount must be greater than 0"],
+      required: false,
+    },
+    // Allowed amounts on apply (either bound optional)
+    minAmount: {
+      type: Number,
+      min: [0.01, "Minimum amount must be greater than 0"],
+      required: false,
+    },
+    maxAmount: {
+      type: Number,
+      min: [0.01, "Maximum amount must be greater than 0"],
+      required: false,
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO code"],
+      required: false,
+    },
+    note: {
+      type: String,
+      required: false,
+    },
+    mood: {
+      type: String,
+      enum: [
+        "happy",
+        "sad",
+        "angry",
+        "stressed",
+        "bored",
+        "excited",
+        "neutral",
+      ],
+      required: false,
+    },
+    tags: [{ type: String, trim: true, lowercase: true }],
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+transactionTemplateSchema.index({ user: 1, name: 1 }, { unique: true });
+
+// The preset amount has to fit the range
+transactionTemplateSchema.pre("validate", function () {
+  const { amount, minAmount, maxAmount } = this;
+
+  if (
+    minAmount !== undefined &&
+    maxAmount !== undefined &&
+    minAmount > maxAmount
+  ) {
+    this.invalidate(
+      "maxAmount",
+      "Maximum amount must be at least the minimum amount"
+    );
+  }
+
+  if (
+    amount !== undefined &&
+    ((minAmount !== undefined && amount < minAmount) ||
+      (maxAmount !== undefined && amount > maxAmount))
+  ) {
+    this.invalidate("amount", "Amount must be within the amount range");
+  }
+});
+
+module.exports = mongoose.model(
+  "TransactionTemplate",
+  transactionTemplateSchema
+);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { PERIOD_TYPES } = require("../utils/budgetPeriods");
 const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
 
@@ -28,6 +29,33 @@ const userSchema = mongoose.Schema(
       default: "",
     },
     settings: {
+      // Currency all totals, budgets and reports are converted into
+      baseCurrency: {
+        type: String,
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO code"],
+        default: "USD",
+      },
+      // Period budgets, status and alerts are tracked over (see
+      // utils/budgetPeriods)
+      budgetPeriod: {
+        type: {
+          type: String,
+          enum: PERIOD_TYPES,
+          default: "monthly",
+        },
+        weekStartDay: { type: Number, min: 0, max: 6, default: 1 },
+        monthStartDay: { type: Number, min: 1, max: 28, default: 1 },
+        anchorDate: Date,
+      },
+      // Envelope (zero-based) budgeting: income from startDate on fills an
+      // unassigned pool that is allocated into category envelopes
+      envelopes: {
+        enabled: { type: Boolean, default: false },
+        startDate: Date,
+        // Bumped by every move so concurrent moves conflict (see moveMoney)
+        revision: { type: Number, default: 0 },
+      },
       notifications: {
         email: { type: Boolean, default: true },
         bills: { type: Boolean, default: true },
@@ -0,0 +1,42 @@
+// Soft delete: documents get a `deletedAt` marker instead of being removed.
+// Reads (find, count, aggregate) skip deleted documents unless the query
+// filters on `deletedAt` itself (how the trash lists them) or sets the
+// `withDeleted` option to see both.
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+  });
+
+  schema.pre(
+    ["find", "findOne", "countDocuments", "findOneAndUpdate"],
+    function () {
+      if (this.getOptions().withDeleted) return;
+      if (Object.prototype.hasOwnProperty.call(this.getFilter(), "deletedAt")) {
+        return;
+      }
+      this.where({ deletedAt: null });
+    }
+  );
+
+  schema.pre("aggregate", function () {
+    const [first] = this.pipeline();
+    if (first && first.$match && "deletedAt" in first.$match) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  schema.methods.softDelete = function () {
+    this.deletedAt = new Date();
+    return this.save({ validateBeforeSave: false });
+  };
+
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    return this.save();
+  };
+};
+
+module.exports = softDeletePlugin;
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createAccount,
+  getAccounts,
+  getAccountById,
+  updateAccount,
+  deleteAccount,
+  getAccountHistory,
+} = require("../controllers/accountController");
+const { protect } = require("../middleware/authMiddleware");
+
+router.use(protect);
+
+router.post("/", createAccount);
+router.get("/", getAccounts);
+router.get("/:id", getAccountById);
+router.get("/:id/history", getAccountHistory);
+router.put("/:id", updateAccount);
+router.delete("/:id", deleteAccount);
+
+module.exports = router;
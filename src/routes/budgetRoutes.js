@@ -4,6 +4,8 @@ const {
   setBudget,
   getCurrentBudget,
   getBudgetStatus,
+  getBudgetHistory,
+  copyBudgetForward,
 } = require("../controllers/budgetController");
 const { protect } = require("../middleware/authMiddleware");
 
@@ -12,5 +14,7 @@ router.use(protect);
 router.post("/", setBudget);
 router.get("/", getCurrentBudget);
 router.get("/status", getBudgetStatus);
+router.get("/history", getBudgetHistory);
+router.post("/copy-forward", copyBudgetForward);
 
 module.exports = router;
@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getEnvelopes,
+  updateEnvelopeSettings,
+  createEnvelope,
+  deleteEnvelope,
+  allocateToEnvelope,
+  moveBetweenEnvelopes,
+  getAllocationLog,
+} = require("../controllers/envelopeController");
+const { protect } = require("../middleware/authMiddleware");
+
+router.use(protect);
+
+router.get("/", getEnvelopes);
+router.post("/", createEnvelope);
+router.put("/settings", updateEnvelopeSettings);
+router.post("/allocate", allocateToEnvelope);
+router.post("/move", moveBetweenEnvelopes);
+router.get("/log", getAllocationLog);
+router.delete("/:id", deleteEnvelope);
+
+module.exports = router;
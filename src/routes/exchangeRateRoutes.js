@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getExchangeRates,
+  setExchangeRate,
+  uploadExchangeRates,
+  deleteExchangeRate,
+} = require("../controllers/exchangeRateController");
+const { protect } = require("../middleware/authMiddleware");
+const { importUpload } = require("../middleware/uploadMiddleware");
+
+router.use(protect);
+
+router.get("/", getExchangeRates);
+router.post("/", setExchangeRate);
+router.post("/upload", importUpload.single("file"), uploadExchangeRates);
+router.delete("/:id", deleteExchangeRate);
+
+module.exports = router;
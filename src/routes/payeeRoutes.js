@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createPayee,
+  getPayees,
+  getPayeeById,
+  updatePayee,
+  deletePayee,
+  mergePayeesInto,
+} = require("../controllers/payeeController");
+const { protect } = require("../middleware/authMiddleware");
+
+router.use(protect);
+
+router.post("/", createPayee);
+router.get("/", getPayees);
+router.get("/:id", getPayeeById);
+router.put("/:id", updatePayee);
+router.delete("/:id", deletePayee);
+router.post("/:id/merge", mergePayeesInto);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createReconciliation,
+  getReconciliations,
+  getReconciliationById,
+  clearTransactions,
+  finishReconciliation,
+  deleteReconciliation,
+} = require("../controllers/reconciliationController");
+const { protect } = require("../middleware/authMiddleware");
+
+router.use(protect);
+
+router.post("/", createReconciliation);
+router.get("/", getReconciliations);
+router.get("/:id", getReconciliationById);
+router.post("/:id/clear", clearTransactions);
+router.post("/:id/complete", finishReconciliation);
+router.delete("/:id", deleteReconciliation);
+
+module.exports = router;
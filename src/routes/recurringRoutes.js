@@ -0,0 +1,26 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createRecurring,
+  getRecurring,
+  getRecurringById,
+  updateRecurring,
+  deleteRecurring,
+  setOccurrenceException,
+  removeOccurrenceException,
+  runRecurring,
+} = require("../controllers/recurringController");
+const { protect } = require("../middleware/authMiddleware");
+
+router.use(protect);
+
+router.post("/", createRecurring);
+router.get("/", getRecurring);
+router.post("/run", runRecurring);
+router.get("/:id", getRecurringById);
+router.put("/:id", updateRecurring);
+router.delete("/:id", deleteRecurring);
+router.post("/:id/exceptions", setOccurrenceException);
+router.delete("/:id/exceptions/:date", removeOccurrenceException);
+
+module.exports = router;
@@ -4,6 +4,7 @@ const {
   getMonthlyReport,
   exportReportPDF,
   exportReportCSV,
+  exportTagReportCSV,
 } = require("../controllers/reportController");
 const { protect } = require("../middleware/authMiddleware");
 
@@ -12,5 +13,6 @@ router.use(protect);
 router.get("/monthly", getMonthlyReport);
 router.get("/monthly/pdf", exportReportPDF);
 router.get("/monthly/csv", exportReportCSV);
+router.get("/monthly/tags/csv", exportTagReportCSV);
 
 module.exports = router;
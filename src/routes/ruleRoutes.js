@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createRule,
+  getRules,
+  getRuleById,
+  updateRule,
+  deleteRule,
+  applyRulesToTransactions,
+} = require("../controllers/ruleController");
+const { protect } = require("../middleware/authMiddleware");
+
+router.use(protect);
+
+router.post("/", createRule);
+router.get("/", getRules);
+router.post("/apply", applyRulesToTransactions);
+router.get("/:id", getRuleById);
+router.put("/:id", updateRule);
+router.delete("/:id", deleteRule);
+
+module.exports = router;
@@ -8,12 +8,16 @@ const {
   updateNotificationSettings,
   getAIPreferences,
   updateAIPreferences,
+  getCurrencySettings,
+  updateCurrencySettings,
+  getBudgetPeriodSettings,
+  updateBudgetPeriodSettings,
   getCategories,
   addCategory,
   deleteCategory,
 } = require("../controllers/settingsController");
 const { protect } = require("../middleware/authMiddleware");
-const upload = require("../middleware/uploadMiddleware");
+const { upload } = require("../middleware/uploadMiddleware");
 
 router.use(protect);
 
@@ -30,6 +34,14 @@ router.put("/settings/notifications", updateNotificationSettings);
 router.get("/settings/ai", getAIPreferences);
 router.put("/settings/ai", updateAIPreferences);
 
+// Currency
+router.get("/settings/currency", getCurrencySettings);
+router.put("/settings/currency", updateCurrencySettings);
+
+// Budget period
+router.get("/settings/budget-period", getBudgetPeriodSettings);
+router.put("/settings/budget-period", updateBudgetPeriodSettings);
+
 // Categories
 router.get("/categories", getCategories);
 router.post("/categories", addCategory);
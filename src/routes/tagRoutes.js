@@ -0,0 +1,10 @@
+const express = require("express");
+const router = express.Router();
+const { getTags } = require("../controllers/tagController");
+const { protect } = require("../middleware/authMiddleware");
+
+router.use(protect);
+
+router.get("/", getTags);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createTemplate,
+  getTemplates,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+  applyTransactionTemplate,
+} = require("../controllers/templateController");
+const { protect } = require("../middleware/authMiddleware");
+
+router.use(protect);
+
+router.post("/", createTemplate);
+router.get("/", getTemplates);
+router.get("/:id", getTemplateById);
+router.put("/:id", updateTemplate);
+router.delete("/:id", deleteTemplate);
+router.post("/:id/apply", applyTransactionTemplate);
+
+module.exports = router;
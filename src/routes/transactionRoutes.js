@@ -2,19 +2,69 @@ const express = require("express");
 const router = express.Router();
 const {
   addTransaction,
+  quickAddTransaction,
   getTransactions,
   getMonthlyTransactions,
   deleteTransaction,
   updateTransaction,
+  getTransactionHistory,
+  revertTransaction,
+  bulkUpdateTransactions,
 } = require("../controllers/transactionController");
+const {
+  importTransactions,
+  importStatement,
+} = require("../controllers/importController");
+const {
+  addAttachments,
+  getAttachments,
+  downloadAttachment,
+  deleteAttachment,
+} = require("../controllers/attachmentController");
+const {
+  getDuplicates,
+  mergeDuplicateTransactions,
+  dismissDuplicateTransactions,
+} = require("../controllers/duplicateController");
+const {
+  addRefund,
+  getTransactionRefunds,
+  getOutstanding,
+} = require("../controllers/refundController");
 const { protect } = require("../middleware/authMiddleware");
+const {
+  importUpload,
+  attachmentUpload,
+} = require("../middleware/uploadMiddleware");
 
 router.use(protect);
 
 router.post("/", addTransaction);
 router.get("/", getTransactions);
+router.post("/quick", quickAddTransaction);
+router.post("/bulk", bulkUpdateTransactions);
+router.post("/import", importUpload.single("file"), importTransactions);
+router.post("/import/statement", importUpload.single("file"), importStatement);
 router.get("/month/:year-:month", getMonthlyTransactions);
+router.get("/duplicates", getDuplicates);
+router.post("/duplicates/merge", mergeDuplicateTransactions);
+router.post("/duplicates/dismiss", dismissDuplicateTransactions);
+router.get("/reimbursements/outstanding", getOutstanding);
 router.delete("/:id", deleteTransaction);
 router.put("/:id", updateTransaction);
+router.get("/:id/history", getTransactionHistory);
+router.post("/:id/history/:version/revert", revertTransaction);
+router.post("/:id/refunds", addRefund);
+router.get("/:id/refunds", getTransactionRefunds);
+
+// Receipts
+router.post(
+  "/:id/attachments",
+  attachmentUpload.array("files"),
+  addAttachments
+);
+router.get("/:id/attachments", getAttachments);
+router.get("/:id/attachments/:attachmentId", downloadAttachment);
+router.delete("/:id/attachments/:attachmentId", deleteAttachment);
 
 module.exports = router;
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getTrash,
+  restoreTrashedTransaction,
+  restoreTrashedBill,
+  purgeTrashedTransaction,
+  purgeTrashedBill,
+  emptyTrash,
+} = require("../controllers/trashController");
+const { protect } = require("../middleware/authMiddleware");
+
+router.use(protect);
+
+router.get("/", getTrash);
+router.delete("/", emptyTrash);
+router.post("/transactions/:id/restore", restoreTrashedTransaction);
+router.delete("/transactions/:id", purgeTrashedTransaction);
+router.post("/bills/:id/restore", restoreTrashedBill);
+router.delete("/bills/:id", purgeTrashedBill);
+
+module.exports = router;
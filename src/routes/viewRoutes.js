@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createView,
+  getViews,
+  getViewById,
+  updateView,
+  deleteView,
+  getViewTransactions,
+} = require("../controllers/viewController");
+const { protect } = require("../middleware/authMiddleware");
+
+router.use(protect);
+
+router.post("/", createView);
+router.get("/", getViews);
+router.get("/:id", getViewById);
+router.put("/:id", updateView);
+router.delete("/:id", deleteView);
+router.get("/:id/transactions", getViewTransactions);
+
+module.exports = router;
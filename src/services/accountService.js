@@ -0,0 +1,188 @@
+const mongoose = require("mongoose");
+const Account = require("../models/Account");
+const Transaction = require("../models/Transaction");
+const { ApiError } = require("../utils/ApiError");
+const { baseAmountExpr, getBaseAmount } = require("../utils/currency");
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Get (or lazily create) the user's default account. On first creation,
+// transactions recorded before accounts existed are linked to it.
+const getDefaultAccount = async (userId) => {
+  let account = await Account.findOne({ user: userId, isDefault: true });
+  if (account) return account;
+
+  // Reuse an existing "Cash" account rather than clashing on the name
+  account = await Account.findOne({ user: userId, name: "Cash" });
+  if (account) {
+    account.isDefault = true;
+    await account.save();
+  } else {
+    account = await Account.create({
+      user: userId,
+      name: "Cash",
+      type: "cash",
+      isDefault: true,
+    });
+  }
+
+  await Transaction.updateMany(
+    { user: userId, account: { $exists: false } },
+    { $set: { account: account._id } }
+  );
+
+  return account;
+};
+
+// Resolve an account id from a request: must belong to the user. Falls
+// back to the default account when no id is given.
+const resolveAccount = async (userId, accountId) => {
+  if (!accountId) return getDefaultAccount(userId);
+
+  if (!mongoose.isValidObjectId(accountId)) {
+    throw new ApiError(400, "Invalid account id");
+  }
+
+  const account = await Account.findOne({ _id: accountId, user: userId });
+  if (!account) {
+    throw new ApiError(404, "Account not found");
+  }
+
+  return account;
+};
+
+// Signed effect of a transaction on one account's balance (base currency)
+const getBalanceEffect = (txn, accountId) => {
+  const id = String(accountId);
+  const amount = Number(getBaseAmount(txn));
+
+  if (txn.type === "transfer") {
+    if (String(txn.toAccount) === id) return amount;
+    if (String(txn.account) === id) return -amount;
+    return 0;
+  }
+
+  if (String(txn.account) !== id) return 0;
+  return txn.type === "income" || txn.type === "refund" ? amount : -amount;
+};
+
+// Net transaction movement per account id (excludes opening balances)
+const getAccountMovements = async (userId) => {
+  const [result] = await Transaction.aggregate([
+    { $match: { user: toObjectId(userId) } },
+    {
+      $facet: {
+        // Income and refunds add, expenses and outgoing transfers subtract
+        outgoing: [
+          {
+            $group: {
+              _id: "$account",
+              amount: {
+                $sum: {
+                  $cond: [
+                    { $in: ["$type", ["income", "refund"]] },
+                    baseAmountExpr,
+                    { $multiply: [baseAmountExpr, -1] },
+                  ],
+                },
+              },
+            },
+          },
+        ],
+        // Incoming transfers add to the destination account
+        incoming: [
+          { $match: { type: "transfer" } },
+          {
+            $group: { _id: "$toAccount", amount: { $sum: baseAmountExpr } },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const movements = {};
+  [...result.outgoing, ...result.incoming].forEach((row) => {
+    if (!row._id) return;
+    const id = String(row._id);
+    movements[id] = (movements[id] || 0) + row.amount;
+  });
+
+  return movements;
+};
+
+// Attach the current balance to each account
+const withBalances = async (userId, accounts) => {
+  const movements = await getAccountMovements(userId);
+
+  return accounts.map((account) => {
+    const data = account.toObject ? account.toObject() : account;
+    return {
+      ...data,
+      balance: data.openingBalance + (movements[String(data._id)] || 0),
+    };
+  });
+};
+
+// Helper to get the YYYY-MM-DD or YYYY-MM bucket of a date
+const getBucketKey = (date, interval) => {
+  const d = new Date(date);
+  const month = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(
+    2,
+    "0"
+  )}`;
+  if (interval === "month") return month;
+  return `${month}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+// Running balance of an account, one point per day (or month) with activity
+const getBalanceHistory = async (
+  userId,
+  account,
+  { startDate, endDate, interval = "day" } = {}
+) => {
+  const query = {
+    user: userId,
+    $or: [{ account: account._id }, { toAccount: account._id }],
+  };
+  if (endDate) query.date = { $lte: endDate };
+
+  const transactions = await Transaction.find(query).sort({ date: 1 });
+
+  let balance = account.openingBalance;
+  const points = [];
+
+  transactions.forEach((txn) => {
+    balance += getBalanceEffect(txn, account._id);
+
+    if (startDate && txn.date < startDate) return;
+
+    const key = getBucketKey(txn.date, interval);
+    const last = points[points.length - 1];
+    if (last && last.period === key) {
+      last.balance = balance;
+    } else {
+      points.push({ period: key, balance });
+    }
+  });
+
+  // Balance carried into the requested range
+  const startingBalance = startDate
+    ? transactions
+        .filter((txn) => txn.date < startDate)
+        .reduce(
+          (sum, txn) => sum + getBalanceEffect(txn, account._id),
+          account.openingBalance
+        )
+    : account.openingBalance;
+
+  return { startingBalance, endingBalance: balance, history: points };
+};
+
+module.exports = {
+  getDefaultAccount,
+  resolveAccount,
+  getBalanceEffect,
+  getAccountMovements,
+  withBalances,
+  getBalanceHistory,
+};
@@ -1,60 +1,85 @@
 const Alert = require("../models/Alert");
-const Budget = require("../models/Budget");
 const Bill = require("../models/Bill");
 const Transaction = require("../models/Transaction");
-
-// Helper to get current month
-const getCurrentMonth = () => {
-  const now = new Date();
-  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
+const { categoryPartsStages } = require("../utils/splits");
+const { SPEND_TYPES } = require("../utils/currency");
+const { PERIOD_ADJECTIVES } = require("../utils/budgetPeriods");
+const {
+  findPeriodBudget,
+  getBudgetLimit,
+  getPercentageUsed,
+  calculateCategorySpent,
+  getCategoryUsage,
+} = require("./budgetService");
+
+// Helper to get the alert severity of a budget usage (null below 50%)
+const getBudgetSeverity = (usage) => {
+  if (usage >= 90) return "high";
+  if (usage >= 75) return "medium";
+  if (usage >= 50) return "low";
+  return null;
 };
 
-// Generate Budget Alerts (50%, 75%, 90%, 100% thresholds)
+// Helper to word a budget usage alert ("monthly budget", "Food budget")
+const getBudgetMessage = (usage, label) =>
+  usage >= 100
+    ? `You have exceeded your ${label} by ${Math.round(usage - 100)}%.`
+    : `You have used ${Math.round(usage)}% of your ${label}.`;
+
+// Generate Budget Alerts (50%, 75%, 90%, 100% thresholds), for the whole
+// budget period and for each category budget
 const generateBudgetAlerts = async (userId) => {
-  const month = getCurrentMonth();
-  const budget = await Budget.findOne({ user: userId, month });
+  const { period, budget } = await findPeriodBudget(userId);
 
   if (!budget || budget.monthlyBudget === 0) return;
 
-  const usage = (budget.spentSoFar / budget.monthlyBudget) * 100;
+  const month = period.key;
 
-  // Remove old budget alerts for this month
+  // Remove old budget alerts for this period
   await Alert.deleteMany({
     user: userId,
     type: "budget",
     "metadata.month": month,
   });
 
-  let severity, message;
-
-  if (usage >= 100) {
-    severity = "high";
-    message = `You have exceeded your monthly budget by ${Math.round(
-      usage - 100
-    )}%.`;
-  } else if (usage >= 90) {
-    severity = "high";
-    message = `You have used ${Math.round(usage)}% of your monthly budget.`;
-  } else if (usage >= 75) {
-    severity = "medium";
-    message = `You have used ${Math.round(usage)}% of your monthly budget.`;
-  } else if (usage >= 50) {
-    severity = "low";
-    message = `You have used ${Math.round(usage)}% of your monthly budget.`;
-  } else {
-    return; // No alert needed
-  }
+  const usages = [
+    {
+      label: `${PERIOD_ADJECTIVES[period.type]} budget`,
+      usage: getPercentageUsed(budget.spentSoFar, getBudgetLimit(budget)),
+    },
+  ];
 
-  await Alert.create({
-    user: userId,
-    type: "budget",
-    severity,
-    message,
-    metadata: {
-      budgetUsage: Math.round(usage),
+  if (budget.categories.length > 0) {
+    const categorySpent = await calculateCategorySpent(
+      userId,
       month,
-    },
-  });
+      period.type
+    );
+    getCategoryUsage(budget, categorySpent).forEach((category) => {
+      usages.push({
+        label: `${category.category} budget`,
+        category: category.category,
+        usage: category.percentageUsed,
+      });
+    });
+  }
+
+  for (const { label, category, usage } of usages) {
+    const severity = getBudgetSeverity(usage);
+    if (!severity) continue; // No alert needed
+
+    await Alert.create({
+      user: userId,
+      type: "budget",
+      severity,
+      message: getBudgetMessage(usage, label),
+      metadata: {
+        budgetUsage: Math.round(usage),
+        month,
+        category,
+      },
+    });
+  }
 };
 
 // Generate Bill Alerts (7 days, 3 days, 1 day, overdue)
@@ -118,10 +143,11 @@ const generateTrendAlerts = async (userId) => {
     {
       $match: {
         user: userId,
-        type: "expense",
+        type: { $in: SPEND_TYPES },
         date: { $gte: oneWeekAgo, $lte: now },
       },
     },
+    ...categoryPartsStages(),
     {
       $group: {
         _id: "$category",
@@ -135,10 +161,11 @@ const generateTrendAlerts = async (userId) => {
     {
       $match: {
         user: userId,
-        type: "expense",
+        type: { $in: SPEND_TYPES },
         date: { $gte: twoWeeksAgo, $lt: oneWeekAgo },
       },
     },
+    ...categoryPartsStages(),
     {
       $group: {
         _id: "$category",
@@ -0,0 +1,59 @@
+const crypto = require("crypto");
+const path = require("path");
+const { getStorage } = require("./storage");
+
+// Receipts per transaction
+const MAX_ATTACHMENTS = 10;
+
+// Multer (busboy) decodes the multipart filename as latin1; browsers send
+// UTF-8, so "رسید.pdf" would otherwise be stored garbled
+const decodeFilename = (name) => Buffer.from(name, "latin1").toString("utf8");
+
+// Store an uploaded file and return its attachment record
+const saveAttachment = async (userId, file) => {
+  const storage = getStorage();
+  const originalName = decodeFilename(file.originalname);
+  const extension = path.extname(originalName).toLowerCase();
+  const key = `${userId}/${Date.now()}-${crypto
+    .randomBytes(6)
+    .toString("hex")}${extension}`;
+
+  const storedKey = await storage.save(key, file.buffer);
+
+  return {
+    originalName,
+    mimeType: file.mimetype,
+    size: file.size,
+    storage: storage.name,
+    key: storedKey,
+  };
+};
+
+const readAttachment = (attachment) =>
+  getStorage(attachment.storage).read(attachment.key);
+
+const removeAttachment = (attachment) =>
+  getStorage(attachment.storage).remove(attachment.key);
+
+// Remove every file of a transaction. Failures are logged, not thrown,
+// so a storage hiccup never blocks deleting the transaction itself.
+const removeTransactionAttachments = async (transaction) => {
+  for (const attachment of transaction.attachments || []) {
+    try {
+      await removeAttachment(attachment);
+    } catch (error) {
+      console.error(
+        `Could not remove attachment ${attachment.key}:`,
+        error.message
+      );
+    }
+  }
+};
+
+module.exports = {
+  MAX_ATTACHMENTS,
+  saveAttachment,
+  readAttachment,
+  removeAttachment,
+  removeTransactionAttachments,
+};
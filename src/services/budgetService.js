@@ -0,0 +1,339 @@
+const Budget = require("../models/Budget");
+const Transaction = require("../models/Transaction");
+const User = require("../models/User");
+const {
+  SPEND_TYPES,
+  getSpendAmount,
+  roundAmount,
+} = require("../utils/currency");
+const { sumByCategory } = require("../utils/splits");
+const {
+  getMonthKey,
+  getMonthRange,
+  getDayKey,
+  getPeriodKey,
+  getPeriodRange,
+  shiftPeriod,
+} = require("../utils/budgetPeriods");
+
+// A user's budget period settings (calendar months by default)
+const getPeriodSettings = async (userId) => {
+  const user = await User.findById(userId).select("settings.budgetPeriod");
+  const settings = user?.settings?.budgetPeriod;
+  return settings ? settings.toObject() : { type: "monthly" };
+};
+
+// The budget period a date falls in: { key, type, startDate, endDate }
+const getBudgetPeriod = async (userId, date = new Date()) => {
+  const settings = await getPeriodSettings(userId);
+  const key = getPeriodKey(date, settings);
+  return { key, type: settings.type, ...getPeriodRange(key, settings.type) };
+};
+
+// Budgets of one period type (budgets from before periods were added are
+// monthly)
+const periodFilter = (type) =>
+  type === "monthly"
+    ? { period: { $in: [null, "monthly"] } }
+    : { period: type };
+
+// The budget of the period a date falls in (null if none is set), with
+// the period
+const findPeriodBudget = async (userId, date = new Date()) => {
+  const period = await getBudgetPeriod(userId, date);
+  const budget = await Budget.findOne({
+    user: userId,
+    month: period.key,
+    ...periodFilter(period.type),
+  });
+  return { period, budget };
+};
+
+// Budgets whose period contains `date`, whatever their period type.
+// Budgets keep the period they were set with when the setting changes, so
+// they are found by their own range rather than the current setting.
+const findBudgetsAt = async (userId, date) => {
+  const day = new Date(date);
+  // Non-monthly periods last at most a month, so they start within 31 days
+  const earliest = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+  earliest.setDate(earliest.getDate() - 31);
+
+  const budgets = await Budget.find({
+    user: userId,
+    $or: [
+      { month: getMonthKey(day), ...periodFilter("monthly") },
+      {
+        period: { $in: ["weekly", "biweekly", "custom"] },
+        month: { $gte: getDayKey(earliest), $lte: getDayKey(day) },
+      },
+    ],
+  });
+
+  return budgets.filter((budget) => {
+    const { startDate, endDate } = getPeriodRange(
+      budget.month,
+      budget.period || "monthly"
+    );
+    return day >= startDate && day <= endDate;
+  });
+};
+
+// Budget limit in the user's base currency, with any amount carried over
+// from the previous period
+const getBudgetLimit = (budget) =>
+  budget.monthlyBudget * (budget.exchangeRate || 1) + (budget.carriedOver || 0);
+
+// Share of a limit used, in percent. A limit wiped out by carried
+// overspending counts as fully used.
+const getPercentageUsed = (spent, limit) =>
+  limit > 0 ? Math.round((spent / limit) * 100) : 100;
+
+// Sum all expenses of a period in base currency, less refunds (source of
+// truth for spentSoFar)
+const calculatePeriodSpent = async (userId, key, type = "monthly") => {
+  const { startDate, endDate } = getPeriodRange(key, type);
+
+  const expenses = await Transaction.find({
+    user: userId,
+    type: { $in: SPEND_TYPES },
+    date: { $gte: startDate, $lte: endDate },
+  });
+
+  return Math.max(
+    expenses.reduce((sum, txn) => sum + getSpendAmount(txn), 0),
+    0
+  );
+};
+
+// Spend per category of a period in base currency, less refunds. Split
+// transactions count under each split's category.
+const calculateCategorySpent = async (userId, key, type = "monthly") => {
+  const { startDate, endDate } = getPeriodRange(key, type);
+
+  const expenses = await Transaction.find({
+    user: userId,
+    type: { $in: SPEND_TYPES },
+    date: { $gte: startDate, $lte: endDate },
+  });
+
+  return sumByCategory(expenses);
+};
+
+// Used, remaining and percentage of each category budget (base currency).
+// Categories are matched by name regardless of case.
+const getCategoryUsage = (budget, categorySpent) => {
+  const spent = {};
+  Object.entries(categorySpent).forEach(([category, amount]) => {
+    const key = category.toLowerCase();
+    spent[key] = (spent[key] || 0) + amount;
+  });
+
+  return budget.categories.map(
+    ({ category, amount, rollover, carriedOver }) => {
+      const budgetLimit =
+        amount * (budget.exchangeRate || 1) + (carriedOver || 0);
+      const spentSoFar = Math.max(
+        roundAmount(spent[category.toLowerCase()] || 0),
+        0
+      );
+
+      return {
+        category,
+        amount,
+        rollover,
+        carriedOver,
+        budgetLimit,
+        spentSoFar,
+        remaining: roundAmount(budgetLimit - spentSoFar),
+        percentageUsed: getPercentageUsed(spentSoFar, budgetLimit),
+      };
+    }
+  );
+};
+
+// What a budget has left (base currency) overall and per category, carried
+// amounts included. Negative when overspent.
+const getLeftover = async (budget) => {
+  const categorySpent =
+    budget.categories.length > 0
+      ? await calculateCategorySpent(budget.user, budget.month, budget.period)
+      : {};
+
+  const categories = {};
+  getCategoryUsage(budget, categorySpent).forEach((usage) => {
+    categories[usage.category.toLowerCase()] = usage.remaining;
+  });
+
+  return { total: getBudgetLimit(budget) - budget.spentSoFar, categories };
+};
+
+// Carry the previous period's leftover into a budget, for the whole budget
+// and the categories that opt in (nothing without a previous budget)
+const applyCarriedOver = async (budget) => {
+  const previous = await Budget.findOne({
+    user: budget.user,
+    month: shiftPeriod(budget.month, -1, budget.period),
+    ...periodFilter(budget.period),
+  });
+  const leftover = previous
+    ? await getLeftover(previous)
+    : { total: 0, categories: {} };
+
+  budget.carriedOver = budget.rollover ? roundAmount(leftover.total) : 0;
+  budget.categories.forEach((c) => {
+    c.carriedOver = c.rollover
+      ? roundAmount(leftover.categories[c.category.toLowerCase()] || 0)
+      : 0;
+  });
+};
+
+// A period's leftover changed (spend or limit): update the carried amounts
+// of the following periods, stopping at the first one that doesn't change
+const refreshRollover = async (userId, key, type = "monthly") => {
+  let next = key;
+
+  for (;;) {
+    next = shiftPeriod(next, 1, type);
+    const budget = await Budget.findOne({
+      user: userId,
+      month: next,
+      ...periodFilter(type),
+    });
+    if (!budget) return;
+
+    await applyCarriedOver(budget);
+    if (!budget.isModified()) return;
+    await budget.save();
+  }
+};
+
+// Recompute spentSoFar from scratch for each budget whose period contains
+// one of `dates`. Used by batch operations so budgets are written once per
+// period.
+const recalculateBudgetPeriods = async (userId, dates) => {
+  const budgets = new Map();
+  for (const date of dates) {
+    (await findBudgetsAt(userId, date)).forEach((budget) => {
+      budgets.set(String(budget._id), budget);
+    });
+  }
+
+  for (const budget of budgets.values()) {
+    const type = budget.period || "monthly";
+    budget.spentSoFar = await calculatePeriodSpent(userId, budget.month, type);
+    await budget.save();
+    await refreshRollover(userId, budget.month, type);
+  }
+
+  return [...budgets.values()].map((budget) => budget.month);
+};
+
+// Budget versus actual spend for the `count` periods up to the one of
+// `now`, oldest first. The current period is marked in progress and left
+// out of the hit/miss streak, which counts back from the last full period.
+const calculateBudgetHistory = async (userId, count, now = new Date()) => {
+  const { key: current, type } = await getBudgetPeriod(userId, now);
+  const keys = Array.from({ length: count }, (_, i) =>
+    shiftPeriod(current, i - count + 1, type)
+  );
+
+  const budgets = await Budget.find({
+    user: userId,
+    month: { $in: keys },
+    ...periodFilter(type),
+  });
+  const byKey = {};
+  budgets.forEach((budget) => {
+    byKey[budget.month] = budget;
+  });
+
+  const history = [];
+  for (const key of keys) {
+    const budget = byKey[key];
+    const spent = roundAmount(await calculatePeriodSpent(userId, key, type));
+    const entry = {
+      month: key,
+      ...getPeriodRange(key, type),
+      inProgress: key === current,
+      spent,
+    };
+
+    if (budget) {
+      const budgetLimit = roundAmount(getBudgetLimit(budget));
+      entry.budgetLimit = budgetLimit;
+      entry.carriedOver = budget.carriedOver;
+      entry.variance = roundAmount(budgetLimit - spent);
+      entry.percentageUsed = getPercentageUsed(spent, budgetLimit);
+      entry.result = spent <= budgetLimit ? "hit" : "miss";
+    } else {
+      entry.budgetLimit = null;
+      entry.result = "no_budget";
+    }
+
+    history.push(entry);
+  }
+
+  // A period without a budget ends the streak
+  const finished = history.filter((entry) => !entry.inProgress).reverse();
+  let streak = null;
+  if (finished.length > 0 && finished[0].result !== "no_budget") {
+    const result = finished[0].result;
+    const periods = finished.findIndex((entry) => entry.result !== result);
+    streak = { result, periods: periods === -1 ? finished.length : periods };
+  }
+
+  return {
+    period: type,
+    history,
+    streak,
+    hits: finished.filter((entry) => entry.result === "hit").length,
+    misses: finished.filter((entry) => entry.result === "miss").length,
+  };
+};
+
+// Apply an expense amount to the budgets of the transaction's period.
+// Positive delta adds spending, negative delta reverts it.
+const adjustBudgetSpent = async (userId, date, delta) => {
+  const budgets = await findBudgetsAt(userId, date);
+
+  for (const budget of budgets) {
+    budget.spentSoFar += Number(delta);
+    // Prevent negative spentSoFar if logic drifts
+    if (budget.spentSoFar < 0) budget.spentSoFar = 0;
+    await budget.save();
+    await refreshRollover(userId, budget.month, budget.period || "monthly");
+  }
+
+  return budgets;
+};
+
+// Apply a transaction's budget impact (expenses add, refunds give back)
+const applyTransactionToBudget = async (transaction, direction = 1) => {
+  if (!SPEND_TYPES.includes(transaction.type)) return null;
+
+  return adjustBudgetSpent(
+    transaction.user,
+    transaction.date,
+    direction * Number(getSpendAmount(transaction))
+  );
+};
+
+module.exports = {
+  getMonthKey,
+  getMonthRange,
+  getPeriodSettings,
+  getBudgetPeriod,
+  periodFilter,
+  findPeriodBudget,
+  getBudgetLimit,
+  getPercentageUsed,
+  calculatePeriodSpent,
+  calculateCategorySpent,
+  getCategoryUsage,
+  applyCarriedOver,
+  refreshRollover,
+  recalculateBudgetPeriods,
+  calculateBudgetHistory,
+  adjustBudgetSpent,
+  applyTransactionToBudget,
+};
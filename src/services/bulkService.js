@@ -0,0 +1,175 @@
+const mongoose = require("mongoose");
+const Transaction = require("../models/Transaction");
+const { ApiError } = require("../utils/ApiError");
+const { normalizeTags } = require("../utils/tags");
+const { SPEND_TYPES } = require("../utils/currency");
+const { buildTransactionQuery } = require("../utils/transactionQuery");
+const { recalculateBudgetPeriods } = require("./budgetService");
+const { getConverter } = require("./currencyService");
+const { recordChanges } = require("./historyService");
+const { applySearchFallback } = require("./transactionService");
+const { findExpensesWithRefunds } = require("./refundService");
+
+const BULK_ACTIONS = ["delete", "categorize", "tag", "mood", "shiftDate"];
+
+// Largest selection one bulk request may change
+const MAX_BULK_SIZE = 1000;
+
+// Transactions picked by explicit ids or by the list filters
+const selectTransactions = async (userId, { ids, filter }) => {
+  let transactions;
+
+  if (Array.isArray(ids) && ids.length > 0) {
+    if (!ids.every((id) => mongoose.isValidObjectId(id))) {
+      throw new ApiError(400, "Invalid transaction id");
+    }
+    transactions = await Transaction.find({ _id: { $in: ids }, user: userId });
+    if (transactions.length !== new Set(ids.map(String)).size) {
+      throw new ApiError(404, "Some transactions were not found");
+    }
+  } else if (filter && typeof filter === "object") {
+    transactions = await Transaction.find(
+      await applySearchFallback(buildTransactionQuery(userId, filter))
+    );
+  } else {
+    throw new ApiError(400, "Please provide transaction ids or a filter");
+  }
+
+  if (transactions.length > MAX_BULK_SIZE) {
+    throw new ApiError(
+      400,
+      `A bulk operation can change at most ${MAX_BULK_SIZE} transactions (${transactions.length} selected)`
+    );
+  }
+
+  return transactions;
+};
+
+// Build the in-memory change for an action (throws on bad parameters)
+const getChange = async (userId, { action, category, tags, mood, days }) => {
+  switch (action) {
+    case "delete": {
+      const deletedAt = new Date();
+      return (txn) => {
+        txn.deletedAt = deletedAt;
+      };
+    }
+    case "categorize":
+      if (!category) throw new ApiError(400, "Category is required");
+      return (txn) => {
+        txn.category = category;
+      };
+    case "tag": {
+      const add = normalizeTags(tags?.add);
+      const remove = normalizeTags(tags?.remove);
+      if (add.length === 0 && remove.length === 0) {
+        throw new ApiError(400, "Please provide tags to add or remove");
+      }
+      return (txn) => {
+        const kept = txn.tags.filter((tag) => !remove.includes(tag));
+        txn.tags = [...new Set([...kept, ...add])];
+      };
+    }
+    case "mood":
+      // null clears the mood
+      return (txn) => {
+        txn.mood = mood || undefined;
+      };
+    case "shiftDate": {
+      const shift = Number(days);
+      if (!Number.isInteger(shift) || shift === 0) {
+        throw new ApiError(400, "Days must be a whole number other than 0");
+      }
+      // Converted amounts follow the rate at the new date
+      const { convert } = await getConverter(userId);
+      return (txn) => {
+        const date = new Date(txn.date);
+        date.setDate(date.getDate() + shift);
+        txn.date = date;
+        txn.set(convert(txn.amount, txn.currency, date));
+      };
+    }
+    default:
+      throw new ApiError(
+        400,
+        `Action must be one of: ${BULK_ACTIONS.join(", ")}`
+      );
+  }
+};
+
+// Apply one action to many transactions, all-or-nothing: every change is
+// validated before anything is written, and the write, the budget
+// recalculation (once per affected period) and the history run in one
+// database transaction.
+const runBulkOperation = async (userId, body) => {
+  const apply = await getChange(userId, body);
+  const transactions = await selectTransactions(userId, body);
+
+  const befores = transactions.map((txn) => txn.toObject());
+  const errors = [];
+
+  // Expenses keep their refunds unless those are deleted with them
+  const withRefunds =
+    body.action === "delete" ? await findExpensesWithRefunds(transactions) : [];
+
+  for (const txn of transactions) {
+    try {
+      if (txn.status === "reconciled") {
+        throw new Error("Reconciled transactions cannot be changed");
+      }
+      if (withRefunds.includes(String(txn._id))) {
+        throw new Error(
+          "This expense has refunds. Select its refunds to delete them too"
+        );
+      }
+      apply(txn);
+      await txn.validate();
+    } catch (error) {
+      errors.push({
+        transaction: txn._id,
+        errors: error.errors
+          ? Object.values(error.errors).map((e) => e.message)
+          : [error.message],
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError(
+      400,
+      `${errors.length} transaction(s) cannot be changed. Nothing was updated`,
+      errors
+    );
+  }
+
+  const expenseDates = [];
+  transactions.forEach((txn, i) => {
+    if (SPEND_TYPES.includes(befores[i].type)) {
+      expenseDates.push(befores[i].date);
+    }
+    if (SPEND_TYPES.includes(txn.type)) expenseDates.push(txn.date);
+  });
+
+  await mongoose.connection.transaction(async () => {
+    // One bulkWrite with only the modified fields
+    await Transaction.bulkSave(transactions);
+    await recalculateBudgetPeriods(userId, expenseDates);
+
+    await recordChanges(
+      transactions.map((transaction, i) => ({
+        transaction,
+        action: body.action === "delete" ? "delete" : "update",
+        before: befores[i],
+        userId,
+      }))
+    );
+  });
+
+  return { action: body.action, updated: transactions.length };
+};
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK_SIZE,
+  runBulkOperation,
+};
@@ -0,0 +1,252 @@
+const ExchangeRate = require("../models/ExchangeRate");
+const Transaction = require("../models/Transaction");
+const Bill = require("../models/Bill");
+const Budget = require("../models/Budget");
+const User = require("../models/User");
+const { ApiError } = require("../utils/ApiError");
+const { roundAmount } = require("../utils/currency");
+const { getPeriodRange } = require("../utils/budgetPeriods");
+const { recalculateBudgetPeriods } = require("./budgetService");
+
+const DEFAULT_BASE_CURRENCY = "USD";
+
+const normalizeCurrency = (code) =>
+  code ? String(code).trim().toUpperCase() : undefined;
+
+const getBaseCurrency = async (userId) => {
+  const user = await User.findById(userId).select("settings.baseCurrency");
+  return user?.settings?.baseCurrency || DEFAULT_BASE_CURRENCY;
+};
+
+// Latest rate for from -> to dated on or before `date`. Inverse rates
+// (to -> from) are used too; the most recent of the two wins.
+const pickRate = (rates, from, to, date) => {
+  if (from === to) return 1;
+
+  const time = new Date(date).getTime();
+  let best = null;
+
+  rates.forEach((r) => {
+    if (r.date.getTime() > time) return;
+
+    let rate = null;
+    if (r.from === from && r.to === to) rate = r.rate;
+    else if (r.from === to && r.to === from) rate = 1 / r.rate;
+    if (rate === null) return;
+
+    if (!best || r.date > best.date) best = { date: r.date, rate };
+  });
+
+  return best ? best.rate : null;
+};
+
+// Load the user's rate table once and return a synchronous converter,
+// so batch operations don't query rates row by row
+const getConverter = async (userId) => {
+  const [baseCurrency, rates] = await Promise.all([
+    getBaseCurrency(userId),
+    ExchangeRate.find({ user: userId }).lean(),
+  ]);
+
+  // Returns { currency, exchangeRate, baseAmount } or throws a 400
+  const convert = (amount, currency, date) => {
+    const code = normalizeCurrency(currency) || baseCurrency;
+    const rate = pickRate(rates, code, baseCurrency, date);
+
+    if (rate === null) {
+      throw new ApiError(
+        400,
+        `No ${code} to ${baseCurrency} exchange rate on or before ${new Date(
+          date
+        ).toLocaleDateString()}`
+      );
+    }
+
+    return {
+      currency: code,
+      exchangeRate: rate,
+      baseAmount: roundAmount(Number(amount) * rate),
+    };
+  };
+
+  return { baseCurrency, rates, convert };
+};
+
+// Stamp currency, exchangeRate and baseAmount on a transaction or bill
+const applyExchangeRate = async (userId, doc, dateField = "date") => {
+  const { convert } = await getConverter(userId);
+  Object.assign(doc, convert(doc.amount, doc.currency, doc[dateField]));
+  return doc;
+};
+
+// Stamp currency and exchangeRate on a budget (rate at the period start)
+const applyBudgetExchangeRate = async (userId, budget) => {
+  const { convert } = await getConverter(userId);
+  const { startDate } = getPeriodRange(budget.month, budget.period);
+  const { currency, exchangeRate } = convert(1, budget.currency, startDate);
+  budget.currency = currency;
+  budget.exchangeRate = exchangeRate;
+  return budget;
+};
+
+// Date windows a rate change can affect, one per changed rate: from the
+// rate's date until the next rate of the same pair (either direction).
+// Only rates to or from the base currency are used for conversions.
+const getRateWindows = (rates, baseCurrency, changes) =>
+  changes.reduce((windows, change) => {
+    const currency =
+      change.to === baseCurrency
+        ? change.from
+        : change.from === baseCurrency
+        ? change.to
+        : null;
+    if (!currency) return windows;
+
+    const startDate = new Date(change.date);
+    const next = rates
+      .filter(
+        (r) =>
+          ((r.from === currency && r.to === baseCurrency) ||
+            (r.from === baseCurrency && r.to === currency)) &&
+          r.date > startDate
+      )
+      .sort((a, b) => a.date - b.date)[0];
+
+    windows.push({ currency, startDate, endDate: next ? next.date : null });
+    return windows;
+  }, []);
+
+const inWindow = (window, currency, date) =>
+  window.currency === currency &&
+  date >= window.startDate &&
+  (!window.endDate || date < window.endDate);
+
+// Recompute converted amounts of a user's transactions, bills and budgets
+// (after rates or the base currency change). With `changes` (the rates
+// added, updated or deleted) only documents in those rates' windows are
+// converted, otherwise all of them. Documents without a currency are
+// stamped with `legacyCurrency` (the previous base currency). Nothing is
+// written if any document cannot be converted.
+const recalculateBaseAmounts = async (userId, legacyCurrency, changes) => {
+  const { baseCurrency, rates, convert } = await getConverter(userId);
+  const fallback = legacyCurrency || baseCurrency;
+  const converted = { baseCurrency, transactions: 0, bills: 0, budgets: 0 };
+
+  const windows = changes && getRateWindows(rates, baseCurrency, changes);
+  if (windows && windows.length === 0) return converted;
+
+  // Query for the documents in the changed windows
+  const windowQuery = (dateField) =>
+    windows
+      ? {
+          $or: windows.map((w) => ({
+            currency: w.currency,
+            [dateField]: w.endDate
+              ? { $gte: w.startDate, $lt: w.endDate }
+              : { $gte: w.startDate },
+          })),
+        }
+      : {};
+
+  // Budgets from before periods were added are monthly
+  const getBudgetStart = (b) =>
+    getPeriodRange(b.month, b.period || "monthly").startDate;
+
+  const [transactions, bills, allBudgets] = await Promise.all([
+    Transaction.find({ user: userId, ...windowQuery("date") })
+      .select("amount currency date exchangeRate baseAmount")
+      .lean(),
+    Bill.find({ user: userId, ...windowQuery("dueDate") })
+      .select("amount currency dueDate exchangeRate baseAmount")
+      .lean(),
+    Budget.find({
+      user: userId,
+      ...(windows && { currency: { $in: windows.map((w) => w.currency) } }),
+    })
+      .select("month period currency exchangeRate")
+      .lean(),
+  ]);
+  const budgets = windows
+    ? allBudgets.filter((b) =>
+        windows.some((w) => inWindow(w, b.currency, getBudgetStart(b)))
+      )
+    : allBudgets;
+
+  const missing = {};
+  const tryConvert = (amount, currency, date) => {
+    try {
+      return convert(amount, currency || fallback, date);
+    } catch (error) {
+      missing[`${currency || fallback}->${baseCurrency}`] = error.message;
+      return null;
+    }
+  };
+
+  // Documents whose values changed, with the new values
+  const findChanged = (docs, getValues) =>
+    docs.reduce((changed, doc) => {
+      const values = getValues(doc);
+      if (values && Object.keys(values).some((k) => doc[k] !== values[k])) {
+        changed.push({ doc, values });
+      }
+      return changed;
+    }, []);
+
+  const toOps = (changed) =>
+    changed.map(({ doc, values }) => ({
+      updateOne: { filter: { _id: doc._id }, update: { $set: values } },
+    }));
+
+  const changedTransactions = findChanged(transactions, (t) =>
+    tryConvert(t.amount, t.currency, t.date)
+  );
+  const changedBills = findChanged(bills, (b) =>
+    tryConvert(b.amount, b.currency, b.dueDate)
+  );
+  const changedBudgets = findChanged(budgets, (b) => {
+    const values = tryConvert(1, b.currency, getBudgetStart(b));
+    return values
+      ? { currency: values.currency, exchangeRate: values.exchangeRate }
+      : null;
+  });
+
+  if (Object.keys(missing).length > 0) {
+    throw new ApiError(
+      400,
+      "Some amounts cannot be converted. Add the missing exchange rates first",
+      Object.values(missing)
+    );
+  }
+
+  if (changedTransactions.length > 0) {
+    await Transaction.bulkWrite(toOps(changedTransactions));
+  }
+  if (changedBills.length > 0) await Bill.bulkWrite(toOps(changedBills));
+  if (changedBudgets.length > 0) await Budget.bulkWrite(toOps(changedBudgets));
+
+  // spentSoFar is kept in base currency. A full recalculation refreshes
+  // every budget, a scoped one the periods whose amounts changed.
+  const dates = windows
+    ? [
+        ...changedTransactions.map(({ doc }) => doc.date),
+        ...changedBudgets.map(({ doc }) => getBudgetStart(doc)),
+      ]
+    : budgets.map(getBudgetStart);
+  await recalculateBudgetPeriods(userId, dates);
+
+  converted.transactions = changedTransactions.length;
+  converted.bills = changedBills.length;
+  converted.budgets = changedBudgets.length;
+  return converted;
+};
+
+module.exports = {
+  DEFAULT_BASE_CURRENCY,
+  normalizeCurrency,
+  getBaseCurrency,
+  pickRate,
+  getConverter,
+  applyExchangeRate,
+  applyBudgetExchangeRate,
+  recalculateBaseAmounts,
+};
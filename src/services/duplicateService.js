@@ -0,0 +1,179 @@
+const Transaction = require("../models/Transaction");
+const { ApiError } = require("../utils/ApiError");
+const { recordChange } = require("./historyService");
+const { assertNotReconciled } = require("./reconciliationService");
+const { assertNoRefunds } = require("./refundService");
+const { trashTransaction } = require("./trashService");
+
+// Transactions this many days apart (or closer) can be duplicates
+const DUPLICATE_WINDOW_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getWords = (note) =>
+  new Set(
+    String(note || "")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean)
+  );
+
+// Notes are similar when one is missing (nothing to tell them apart), one
+// contains the other, or they share at least half of their words
+const isSimilarNote = (a, b) => {
+  const left = String(a || "")
+    .trim()
+    .toLowerCase();
+  const right = String(b || "")
+    .trim()
+    .toLowerCase();
+  if (!left || !right) return true;
+  if (left.includes(right) || right.includes(left)) return true;
+
+  const leftWords = getWords(left);
+  const rightWords = getWords(right);
+  const shared = [...leftWords].filter((w) => rightWords.has(w)).length;
+  const total = new Set([...leftWords, ...rightWords]).size;
+
+  return total > 0 && shared / total >= 0.5;
+};
+
+const getDaysApart = (a, b) =>
+  Math.round(Math.abs(new Date(a.date) - new Date(b.date)) / DAY_MS);
+
+// Same type, amount and currency, close dates and a similar note
+const isLikelyDuplicate = (a, b) =>
+  a.type === b.type &&
+  a.amount === b.amount &&
+  (a.currency || null) === (b.currency || null) &&
+  getDaysApart(a, b) <= DUPLICATE_WINDOW_DAYS &&
+  isSimilarNote(a.note, b.note) &&
+  // Pairs the user marked as "not a duplicate" stay apart
+  !(a.notDuplicateOf || []).some((id) => String(id) === String(b._id)) &&
+  !(b.notDuplicateOf || []).some((id) => String(id) === String(a._id));
+
+// Existing transactions that look like duplicates of `txn`
+const findDuplicatesOf = async (txn) => {
+  const date = new Date(txn.date);
+  const candidates = await Transaction.find({
+    user: txn.user,
+    _id: { $ne: txn._id },
+    type: txn.type,
+    amount: txn.amount,
+    date: {
+      $gte: new Date(date.getTime() - DUPLICATE_WINDOW_DAYS * DAY_MS),
+      $lte: new Date(date.getTime() + DUPLICATE_WINDOW_DAYS * DAY_MS),
+    },
+  });
+
+  return candidates.filter((candidate) => isLikelyDuplicate(txn, candidate));
+};
+
+// Review queue: pairs of likely duplicates, most recent first
+const findDuplicatePairs = async (userId, { startDate, endDate } = {}) => {
+  const query = { user: userId };
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+
+  const transactions = await Transaction.find(query).sort({ date: 1 });
+
+  // Only transactions with the same type and amount can match
+  const groups = {};
+  transactions.forEach((txn) => {
+    const key = `${txn.type}|${txn.amount}`;
+    groups[key] = groups[key] || [];
+    groups[key].push(txn);
+  });
+
+  const pairs = [];
+  Object.values(groups).forEach((group) => {
+    group.forEach((txn, i) => {
+      // Sorted by date, so stop once the window is passed
+      for (let j = i + 1; j < group.length; j++) {
+        if (getDaysApart(txn, group[j]) > DUPLICATE_WINDOW_DAYS) break;
+        if (isLikelyDuplicate(txn, group[j])) {
+          pairs.push({
+            transactions: [txn, group[j]],
+            daysApart: getDaysApart(txn, group[j]),
+          });
+        }
+      }
+    });
+  });
+
+  return pairs.sort((a, b) => b.transactions[1].date - a.transactions[1].date);
+};
+
+// Helper to load transactions by id and ensure the user owns all of them
+const findUserTransactions = async (userId, ids) => {
+  const transactions = await Transaction.find({ _id: { $in: ids } });
+
+  if (transactions.length !== new Set(ids.map(String)).size) {
+    throw new ApiError(404, "Transaction not found");
+  }
+  if (transactions.some((t) => t.user.toString() !== String(userId))) {
+    throw new ApiError(401, "Not authorized to update these transactions");
+  }
+
+  return transactions;
+};
+
+// Keep one transaction and move the others to the trash (so a wrong merge
+// can be undone). Their budget impact is reverted; tags and attachments
+// are moved to the kept transaction.
+const mergeDuplicates = async (userId, keepId, removeIds) => {
+  if (removeIds.map(String).includes(String(keepId))) {
+    throw new ApiError(400, "The kept transaction cannot also be removed");
+  }
+
+  const [keep] = await findUserTransactions(userId, [keepId]);
+  const removed = await findUserTransactions(userId, removeIds);
+  [keep, ...removed].forEach((txn) => assertNotReconciled(txn, "merged"));
+  await assertNoRefunds(removed);
+
+  const before = keep.toObject();
+  removed.forEach((txn) => {
+    (txn.tags || []).forEach((tag) => {
+      if (!keep.tags.includes(tag)) keep.tags.push(tag);
+    });
+    keep.attachments.push(...txn.attachments);
+    if (!keep.note && txn.note) keep.note = txn.note;
+    if (!keep.payee && txn.payee) keep.payee = txn.payee;
+  });
+  await keep.save();
+  await recordChange(keep, "update", { before, userId, source: "merge" });
+
+  for (const txn of removed) {
+    // The files now belong to the kept transaction; purging the trash
+    // must not remove them
+    txn.attachments = [];
+    await trashTransaction(txn, userId, { source: "merge" });
+  }
+
+  return keep;
+};
+
+// Mark transactions as "not duplicates" of each other
+const dismissDuplicates = async (userId, ids) => {
+  const transactions = await findUserTransactions(userId, ids);
+
+  for (const txn of transactions) {
+    const others = ids.filter((id) => String(id) !== String(txn._id));
+    await Transaction.updateOne(
+      { _id: txn._id },
+      { $addToSet: { notDuplicateOf: { $each: others } } }
+    );
+  }
+};
+
+module.exports = {
+  DUPLICATE_WINDOW_DAYS,
+  isSimilarNote,
+  isLikelyDuplicate,
+  findDuplicatesOf,
+  findDuplicatePairs,
+  mergeDuplicates,
+  dismissDuplicates,
+};
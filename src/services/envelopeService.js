@@ -0,0 +1,217 @@
+const mongoose = require("mongoose");
+const Envelope = require("../models/Envelope");
+const EnvelopeAllocation = require("../models/EnvelopeAllocation");
+const Transaction = require("../models/Transaction");
+const User = require("../models/User");
+const { ApiError } = require("../utils/ApiError");
+const {
+  baseAmountExpr,
+  SPEND_TYPES,
+  roundAmount,
+} = require("../utils/currency");
+const { categoryPartsStages } = require("../utils/splits");
+
+// A user's envelope settings ({ enabled, startDate })
+const getEnvelopeSettings = async (userId) => {
+  const user = await User.findById(userId).select("settings.envelopes");
+  const settings = user?.settings?.envelopes;
+  return settings ? settings.toObject() : { enabled: false };
+};
+
+// Income since a date and spend per category (lowercased), base currency,
+// summed in the database
+const sumActivity = async (userId, startDate) => {
+  const [[income], spend] = await Promise.all([
+    Transaction.aggregate([
+      { $match: { user: userId, type: "income", date: { $gte: startDate } } },
+      { $group: { _id: null, amount: { $sum: baseAmountExpr } } },
+    ]),
+    Transaction.aggregate([
+      {
+        $match: {
+          user: userId,
+          type: { $in: SPEND_TYPES },
+          date: { $gte: startDate },
+        },
+      },
+      ...categoryPartsStages(),
+      {
+        $group: { _id: { $toLower: "$category" }, amount: { $sum: "$amount" } },
+      },
+    ]),
+  ]);
+
+  const categorySpent = {};
+  spend.forEach(({ _id, amount }) => {
+    categorySpent[_id] = amount;
+  });
+  return { income: income ? income.amount : 0, categorySpent };
+};
+
+// Net amount moved into each envelope (keyed by envelope id)
+const sumAllocations = async (userId) => {
+  const [inflows, outflows] = await Promise.all(
+    ["to", "from"].map((field) =>
+      EnvelopeAllocation.aggregate([
+        { $match: { user: userId, [field]: { $ne: null } } },
+        { $group: { _id: `$${field}`, amount: { $sum: "$amount" } } },
+      ])
+    )
+  );
+
+  const allocated = {};
+  inflows.forEach(({ _id, amount }) => {
+    allocated[_id] = (allocated[_id] || 0) + amount;
+  });
+  outflows.forEach(({ _id, amount }) => {
+    allocated[_id] = (allocated[_id] || 0) - amount;
+  });
+  return allocated;
+};
+
+// Balances of every envelope and of the unassigned pool (base currency).
+// Income and spending count from the envelope start date. Spending in a
+// category without an envelope comes out of the pool. Allocations
+// involving a deleted envelope count as the pool, so deleting an envelope
+// gives its balance back.
+const getEnvelopeSummary = async (userId) => {
+  const settings = await getEnvelopeSettings(userId);
+  const user = new mongoose.Types.ObjectId(String(userId));
+
+  const [envelopes, allocations, { income, categorySpent }] = await Promise.all(
+    [
+      Envelope.find({ user }).sort({ category: 1 }),
+      sumAllocations(user),
+      sumActivity(user, settings.startDate || new Date(0)),
+    ]
+  );
+
+  let totalAllocated = 0;
+  let envelopedSpent = 0;
+  const balances = envelopes.map((envelope) => {
+    const allocated = allocations[envelope.id] || 0;
+    const spent = categorySpent[envelope.category.toLowerCase()] || 0;
+    totalAllocated += allocated;
+    envelopedSpent += spent;
+
+    return {
+      _id: envelope._id,
+      category: envelope.category,
+      allocated: roundAmount(allocated),
+      spent: roundAmount(spent),
+      balance: roundAmount(allocated - spent),
+    };
+  });
+
+  const totalSpent = Object.values(categorySpent).reduce((a, b) => a + b, 0);
+  const unenvelopedSpent = totalSpent - envelopedSpent;
+
+  return {
+    enabled: settings.enabled,
+    startDate: settings.startDate,
+    income: roundAmount(income),
+    allocated: roundAmount(totalAllocated),
+    unenvelopedSpent: roundAmount(unenvelopedSpent),
+    unassigned: roundAmount(income - totalAllocated - unenvelopedSpent),
+    envelopes: balances,
+  };
+};
+
+// Helper to check an envelope id belongs to the user
+const findUserEnvelope = async (userId, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new ApiError(400, "Invalid envelope id");
+  }
+
+  const envelope = await Envelope.findOne({ _id: id, user: userId });
+  if (!envelope) {
+    throw new ApiError(404, "Envelope not found");
+  }
+  return envelope;
+};
+
+// Move money between the pool (from/to left out) and envelopes. Nothing
+// can be taken out beyond what the pool or the envelope holds. Returns
+// the allocation and the summary after the move.
+const moveMoney = async (userId, { from, to, amount, note }) => {
+  const settings = await getEnvelopeSettings(userId);
+  if (!settings.enabled) {
+    throw new ApiError(400, "Envelope budgeting is not enabled");
+  }
+
+  amount = Number(amount);
+  if (!(amount > 0)) {
+    throw new ApiError(400, "Amount must be greater than 0");
+  }
+  if (!from && !to) {
+    throw new ApiError(
+      400,
+      "Please provide an envelope to move money to or from"
+    );
+  }
+  if (from && to && String(from) === String(to)) {
+    throw new ApiError(400, "Cannot move money to the same envelope");
+  }
+
+  const source = from ? await findUserEnvelope(userId, from) : null;
+  const target = to ? await findUserEnvelope(userId, to) : null;
+
+  // Moves of a user are serialized: each one first bumps the user's
+  // envelope revision, so a concurrent move conflicts and is retried with
+  // the updated balances instead of overdrawing them
+  return mongoose.connection.transaction(async () => {
+    await User.updateOne(
+      { _id: userId },
+      { $inc: { "settings.envelopes.revision": 1 } }
+    );
+
+    const summary = await getEnvelopeSummary(userId);
+    const available = source
+      ? summary.envelopes.find((e) => e._id.equals(source._id)).balance
+      : summary.unassigned;
+
+    if (amount > available) {
+      throw new ApiError(
+        400,
+        source
+          ? `The ${source.category} envelope only holds ${Math.max(
+              available,
+              0
+            )}`
+          : `Only ${Math.max(available, 0)} is unassigned`
+      );
+    }
+
+    const [allocation] = await EnvelopeAllocation.create([
+      {
+        user: userId,
+        from: source ? source._id : undefined,
+        to: target ? target._id : undefined,
+        amount,
+        note,
+      },
+    ]);
+
+    // Apply the move to the summary instead of computing it again
+    summary.envelopes.forEach((envelope) => {
+      const change =
+        (target && envelope._id.equals(target._id) ? amount : 0) -
+        (source && envelope._id.equals(source._id) ? amount : 0);
+      envelope.allocated = roundAmount(envelope.allocated + change);
+      envelope.balance = roundAmount(envelope.balance + change);
+    });
+    if (!source) summary.unassigned = roundAmount(summary.unassigned - amount);
+    if (!target) summary.unassigned = roundAmount(summary.unassigned + amount);
+    summary.allocated = roundAmount(
+      summary.allocated + (target ? amount : 0) - (source ? amount : 0)
+    );
+
+    return { allocation, summary };
+  });
+};
+
+module.exports = {
+  getEnvelopeSettings,
+  getEnvelopeSummary,
+  moveMoney,
+};
@@ -0,0 +1,169 @@
+const TransactionHistory = require("../models/TransactionHistory");
+const { ApiError } = require("../utils/ApiError");
+const { applyTransactionToBudget } = require("./budgetService");
+const { applyExchangeRate } = require("./currencyService");
+const { resolveAccount } = require("./accountService");
+const { assertRefundUpdateAllowed } = require("./refundLimitService");
+
+// Fields recorded in each version. Converted amounts (exchangeRate,
+// baseAmount) are derived from these and recomputed on revert.
+const TRACKED_FIELDS = [
+  "amount",
+  "type",
+  "category",
+  "date",
+  "note",
+  "payee",
+  "mood",
+  "splits",
+  "tags",
+  "account",
+  "toAccount",
+  "currency",
+  "reimbursable",
+  "deletedAt",
+];
+
+// Fields a revert puts back (the trash handles deletedAt)
+const REVERTIBLE_FIELDS = TRACKED_FIELDS.filter((f) => f !== "deletedAt");
+
+// Plain JSON copy of the tracked fields of a document or object
+const takeSnapshot = (txn) => {
+  const data = txn.toObject ? txn.toObject() : txn;
+  const snapshot = {};
+  TRACKED_FIELDS.forEach((field) => {
+    snapshot[field] =
+      data[field] === undefined
+        ? null
+        : JSON.parse(JSON.stringify(data[field]));
+  });
+  return snapshot;
+};
+
+// Field-level differences between two snapshots
+const diffSnapshots = (before, after) =>
+  TRACKED_FIELDS.filter(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  ).map((field) => ({ field, from: before[field], to: after[field] }));
+
+// Record changes of several transactions in one write. Each change is
+// { transaction, action, before?, userId?, source? }; `transaction` holds
+// the state after the change. Updates that changed nothing are skipped.
+const recordChanges = async (items) => {
+  if (items.length === 0) return;
+
+  const ids = items.map((item) => item.transaction._id);
+  const latest = await TransactionHistory.aggregate([
+    { $match: { transaction: { $in: ids } } },
+    { $group: { _id: "$transaction", version: { $max: "$version" } } },
+  ]);
+  const versions = {};
+  latest.forEach((row) => {
+    versions[String(row._id)] = row.version;
+  });
+
+  const entries = [];
+  items.forEach(({ transaction, action, before, userId, source = "user" }) => {
+    const key = String(transaction._id);
+    const snapshot = takeSnapshot(transaction);
+    const previous = before ? takeSnapshot(before) : null;
+    const changes = previous ? diffSnapshots(previous, snapshot) : [];
+
+    if (action === "update" && changes.length === 0) return;
+
+    const base = {
+      transaction: transaction._id,
+      user: transaction.user,
+      changedBy: userId,
+      source,
+    };
+
+    // Transactions from before history existed: keep their old state
+    if (!versions[key] && previous && action !== "create") {
+      versions[key] = 1;
+      entries.push({
+        ...base,
+        version: 1,
+        action: "baseline",
+        changes: [],
+        snapshot: previous,
+      });
+    }
+
+    versions[key] = (versions[key] || 0) + 1;
+    entries.push({
+      ...base,
+      version: versions[key],
+      action,
+      changes,
+      snapshot,
+    });
+  });
+
+  if (entries.length > 0) await TransactionHistory.insertMany(entries);
+};
+
+const recordChange = (transaction, action, options = {}) =>
+  recordChanges([{ transaction, action, ...options }]);
+
+// All versions of a transaction, newest first
+const getHistory = (transactionId) =>
+  TransactionHistory.find({ transaction: transactionId }).sort({
+    version: -1,
+  });
+
+// Put a transaction back to an earlier version. Budgets are adjusted the
+// same way updateTransaction does.
+const revertToVersion = async (transaction, version, userId) => {
+  const entry = await TransactionHistory.findOne({
+    transaction: transaction._id,
+    version,
+  });
+
+  if (!entry) {
+    throw new ApiError(404, `Version ${version} not found`);
+  }
+
+  const previous = transaction.toObject();
+
+  REVERTIBLE_FIELDS.forEach((field) => {
+    const value = entry.snapshot[field];
+    transaction[field] =
+      value === null || (field === "splits" && value.length === 0)
+        ? undefined
+        : value;
+  });
+  await applyExchangeRate(transaction.user, transaction);
+
+  // The snapshot's accounts may have been deleted since
+  for (const field of ["account", "toAccount"]) {
+    if (transaction[field]) {
+      transaction[field] = (
+        await resolveAccount(transaction.user, transaction[field])
+      )._id;
+    }
+  }
+
+  // Refund amounts must stay within their expense, as on updates
+  await assertRefundUpdateAllowed(transaction, previous);
+
+  // Validation runs before any budget is touched
+  await transaction.save();
+
+  await applyTransactionToBudget(previous, -1);
+  await applyTransactionToBudget(transaction);
+
+  await recordChange(transaction, "revert", { before: previous, userId });
+
+  return transaction;
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  takeSnapshot,
+  diffSnapshots,
+  recordChanges,
+  recordChange,
+  getHistory,
+  revertToVersion,
+};
@@ -0,0 +1,286 @@
+const { parse } = require("csv-parse/sync");
+const Transaction = require("../models/Transaction");
+const { ApiError } = require("../utils/ApiError");
+const { recalculateBudgetPeriods } = require("./budgetService");
+const { getConverter } = require("./currencyService");
+const { applyRules } = require("./ruleService");
+const { recordChanges } = require("./historyService");
+const { getPayeeMatcher } = require("./payeeService");
+
+// Transaction fields a CSV column can be mapped to
+const IMPORT_FIELDS = [
+  "amount",
+  "type",
+  "category",
+  "date",
+  "note",
+  "currency",
+  "payee",
+];
+
+// Parse CSV text into header list + row objects keyed by header
+const parseCSV = (text) => {
+  let records;
+  try {
+    records = parse(text, {
+      columns: true,
+      bom: true,
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true,
+    });
+  } catch (error) {
+    throw new ApiError(400, `Could not read CSV file: ${error.message}`);
+  }
+
+  const headers = records.length > 0 ? Object.keys(records[0]) : [];
+  return { headers, records };
+};
+
+// Resolve field -> column mapping. Explicit mapping wins, otherwise columns
+// whose header matches a field name (case-insensitive) are used.
+const resolveMapping = (headers, mapping = {}) => {
+  const resolved = {};
+
+  IMPORT_FIELDS.forEach((field) => {
+    if (mapping[field]) {
+      if (!headers.includes(mapping[field])) {
+        throw new ApiError(
+          400,
+          `Mapped column "${mapping[field]}" for ${field} not found in file`
+        );
+      }
+      resolved[field] = mapping[field];
+      return;
+    }
+
+    const match = headers.find((h) => h.toLowerCase() === field);
+    if (match) resolved[field] = match;
+  });
+
+  if (!resolved.amount || !resolved.date) {
+    throw new ApiError(400, "Amount and date columns must be mapped");
+  }
+
+  return resolved;
+};
+
+// Parse a date string using the caller's format (defaults to ISO / native)
+const parseDate = (value, dateFormat) => {
+  if (!value) return null;
+
+  const parts = value.split(/[/.-]/).map(Number);
+  let date;
+
+  if (dateFormat === "DD/MM/YYYY" && parts.length === 3) {
+    date = new Date(parts[2], parts[1] - 1, parts[0]);
+  } else if (dateFormat === "MM/DD/YYYY" && parts.length === 3) {
+    date = new Date(parts[2], parts[0] - 1, parts[1]);
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    // Plain ISO dates are local days, like dates picked in the app
+    date = new Date(parts[0], parts[1] - 1, parts[2]);
+  } else {
+    date = new Date(value);
+  }
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Parse amounts like "1,250.00", "(45.10)" or "-45.10"
+const parseAmount = (value) => {
+  if (value === undefined || value === null || value === "") return NaN;
+
+  let text = String(value).trim();
+  let negative = false;
+
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+
+  const cleaned = text.replace(/[^0-9.-]/g, "");
+  if (!/\d/.test(cleaned)) return NaN;
+
+  const amount = Number(cleaned);
+  return negative ? -amount : amount;
+};
+
+// Categorization rules (options.rules) run before the default category is
+// used, so a matching rule beats the fallback but not the file's own value
+const withRules = (data, options, fallbackCategory) => {
+  const ruled = applyRules(options.rules || [], data);
+  return {
+    ...ruled,
+    category: ruled.category || options.defaultCategory || fallbackCategory,
+  };
+};
+
+// Turn a mapped record into transaction fields. Without a type column the
+// sign decides: negative amounts are expenses, positive are income.
+const mapRecord = (record, mapping, options = {}) => {
+  const rawAmount = parseAmount(record[mapping.amount]);
+  const rawType = mapping.type ? record[mapping.type] : "";
+
+  let type = rawType ? rawType.toLowerCase() : options.defaultType;
+  if (!type) type = rawAmount < 0 ? "expense" : "income";
+
+  return withRules(
+    {
+      amount: isNaN(rawAmount) ? undefined : Math.abs(rawAmount),
+      type,
+      category: (mapping.category && record[mapping.category]) || undefined,
+      date: parseDate(record[mapping.date], options.dateFormat) || undefined,
+      note: mapping.note ? record[mapping.note] : undefined,
+      // Merchant name, linked to a payee on commit
+      payeeName: (mapping.payee && record[mapping.payee]) || undefined,
+      currency:
+        (mapping.currency && record[mapping.currency]) ||
+        options.defaultCurrency ||
+        undefined,
+    },
+    options
+  );
+};
+
+// Turn a parsed statement entry into transaction fields.
+// Debits (negative amounts) are expenses, credits are income.
+const mapStatementEntry = (entry, options = {}) => {
+  const note = [entry.payee, entry.memo]
+    .filter((part, index, parts) => part && parts.indexOf(part) === index)
+    .join(" - ");
+
+  return withRules(
+    {
+      amount: isNaN(entry.amount) ? undefined : Math.abs(entry.amount),
+      type: entry.amount < 0 ? "expense" : "income",
+      category: entry.category || undefined,
+      date: entry.date || undefined,
+      note: note || undefined,
+      payeeName: entry.payee || undefined,
+      // Statement rows already went through the bank
+      status: "cleared",
+      currency: entry.currency || options.defaultCurrency || undefined,
+      externalId: entry.externalId,
+    },
+    options,
+    "Other"
+  );
+};
+
+// Split validated rows into new rows and rows already imported before
+// (or repeated within the same file), matched on externalId
+const markDuplicateRows = async (userId, results) => {
+  const ids = results.map((r) => r.data.externalId).filter(Boolean);
+
+  const existing = await Transaction.find({
+    user: userId,
+    externalId: { $in: ids },
+  }).select("externalId");
+
+  const seen = new Set(existing.map((t) => t.externalId));
+
+  return results.map((result) => {
+    const id = result.data.externalId;
+    const duplicate = Boolean(id) && seen.has(id);
+    if (id) seen.add(id);
+    return { ...result, duplicate, valid: result.valid && !duplicate };
+  });
+};
+
+// Validate mapped rows against the Transaction schema without saving.
+// Amounts are converted to the base currency; a missing rate is a row error.
+const validateRows = async (userId, rows) => {
+  const { convert } = await getConverter(userId);
+
+  return rows.map((data, index) => {
+    const transaction = new Transaction({ user: userId, ...data });
+    const validation = transaction.validateSync();
+
+    const errors = validation
+      ? Object.values(validation.errors).map((e) => e.message)
+      : [];
+
+    if (errors.length === 0) {
+      try {
+        transaction.set(
+          convert(transaction.amount, transaction.currency, transaction.date)
+        );
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    return {
+      row: index + 1,
+      data,
+      errors,
+      valid: errors.length === 0,
+      transaction,
+    };
+  });
+};
+
+// Build a preview summary (no documents in the payload)
+const buildPreview = (results) => ({
+  totalRows: results.length,
+  validRows: results.filter((r) => r.valid).length,
+  invalidRows: results.filter((r) => r.errors.length > 0).length,
+  duplicateRows: results.filter((r) => r.duplicate).length,
+  rows: results.map(({ row, data, errors, valid, duplicate = false }) => ({
+    row,
+    data,
+    errors,
+    valid,
+    duplicate,
+  })),
+});
+
+// Insert all valid rows in one batch and refresh the affected budgets.
+// Rows are matched to existing payees by merchant name, else by note.
+const commitRows = async (userId, results, accountId) => {
+  const valid = results.filter((r) => r.valid);
+
+  if (valid.length === 0) return [];
+
+  const payees = await getPayeeMatcher(userId);
+  for (const { data, transaction } of valid) {
+    const payee =
+      (data.payeeName && payees.match(data.payeeName)) ||
+      payees.match(data.note);
+    transaction.payee = payee ? payee._id : undefined;
+    transaction.account = accountId;
+  }
+
+  const docs = valid.map((r) => r.transaction);
+
+  const created = await Transaction.insertMany(docs);
+  await recordChanges(
+    created.map((transaction) => ({
+      transaction,
+      action: "create",
+      userId,
+      source: "import",
+    }))
+  );
+
+  const expenseDates = created
+    .filter((t) => t.type === "expense")
+    .map((t) => t.date);
+  await recalculateBudgetPeriods(userId, expenseDates);
+
+  return created;
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  parseCSV,
+  resolveMapping,
+  parseDate,
+  parseAmount,
+  mapRecord,
+  mapStatementEntry,
+  markDuplicateRows,
+  validateRows,
+  buildPreview,
+  commitRows,
+};
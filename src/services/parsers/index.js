@@ -0,0 +1,36 @@
+const path = require("path");
+const { ApiError } = require("../../utils/ApiError");
+const { parseOFX } = require("./ofxParser");
+const { parseQIF } = require("./qifParser");
+
+// Statement formats by file extension (QFX is Quicken's branded OFX)
+const STATEMENT_PARSERS = {
+  ".ofx": parseOFX,
+  ".qfx": parseOFX,
+  ".qif": parseQIF,
+};
+
+const isStatementFile = (filename) =>
+  Boolean(STATEMENT_PARSERS[path.extname(filename).toLowerCase()]);
+
+// Parse a bank statement file into entries with a signed amount
+// (negative = debit, positive = credit) and an externalId for dedupe
+const parseStatement = (filename, text, options = {}) => {
+  const parser = STATEMENT_PARSERS[path.extname(filename).toLowerCase()];
+
+  if (!parser) {
+    throw new ApiError(400, "Unsupported statement format");
+  }
+
+  try {
+    return parser(text, options);
+  } catch (error) {
+    throw new ApiError(400, `Could not read statement: ${error.message}`);
+  }
+};
+
+module.exports = {
+  STATEMENT_PARSERS,
+  isStatementFile,
+  parseStatement,
+};
@@ -0,0 +1,96 @@
+// OFX statement parser. Handles both the SGML flavour (OFX 1.x, leaf
+// elements without closing tags) and the XML flavour (OFX 2.x).
+
+// Transaction types that are always money going out. Some banks export
+// these with a positive TRNAMT, so the type wins over the sign. Types that
+// can go either way (POS, ATM, CASH, e.g. a refund or a deposit) keep the
+// sign of TRNAMT.
+const DEBIT_TYPES = [
+  "DEBIT",
+  "PAYMENT",
+  "CHECK",
+  "FEE",
+  "SRVCHG",
+  "DIRECTDEBIT",
+  "REPEATPMT",
+];
+
+// Read the value of a leaf element inside a block, e.g. <TRNAMT>-12.50
+const readTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+  return match ? match[1].trim() : "";
+};
+
+// Decode the few entities banks actually use in names/memos
+const decodeEntities = (value) =>
+  value
+    .replace(/&lt;/gi, "<")
+    .replace(/&gt;/gi, ">")
+    .replace(/&quot;/gi, '"')
+    .replace(/&apos;/gi, "'")
+    .replace(/&amp;/gi, "&");
+
+// OFX dates look like YYYYMMDD[HHMMSS[.XXX]][[-5:EST]]. Only the day is
+// kept, as a local date, matching how dates are entered in the app.
+const parseOFXDate = (value) => {
+  const match = (value || "").match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+
+  const date = new Date(
+    Number(match[1]),
+    Number(match[2]) - 1,
+    Number(match[3])
+  );
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const isOFX = (text) => /<OFX>/i.test(text) || /OFXHEADER/i.test(text);
+
+// Parse an OFX document into statement entries
+const parseOFX = (text) => {
+  if (!isOFX(text)) {
+    throw new Error("File is not a valid OFX statement");
+  }
+
+  const entries = [];
+
+  // Each statement (bank or credit card) carries its own account id,
+  // which scopes the FITIDs of its transactions, and its currency
+  const statements = text.split(/<\/?(?:STMTRS|CCSTMTRS)>/i);
+
+  statements.forEach((statement) => {
+    const accountId = readTag(statement, "ACCTID");
+    const currency = readTag(statement, "CURDEF") || undefined;
+    const blocks = statement.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+    blocks.forEach((block) => {
+      const fitId = readTag(block, "FITID");
+      const name = decodeEntities(readTag(block, "NAME"));
+      const memo = decodeEntities(readTag(block, "MEMO"));
+      const amount = Number(readTag(block, "TRNAMT"));
+      const isDebit = DEBIT_TYPES.includes(
+        readTag(block, "TRNTYPE").toUpperCase()
+      );
+
+      entries.push({
+        externalId: fitId
+          ? `ofx:${accountId ? `${accountId}:` : ""}${fitId}`
+          : undefined,
+        date: parseOFXDate(readTag(block, "DTPOSTED")),
+        amount: isDebit ? -Math.abs(amount) : amount,
+        payee: name,
+        memo,
+        category: undefined,
+        currency,
+      });
+    });
+  });
+
+  return entries;
+};
+
+module.exports = {
+  isOFX,
+  parseOFX,
+  parseOFXDate,
+};
@@ -0,0 +1,105 @@
+const crypto = require("crypto");
+
+// QIF statement parser. Records are lines prefixed by a one-letter code
+// and terminated by "^". Only bank/cash/credit card sections are imported.
+
+const SUPPORTED_TYPES = ["bank", "cash", "ccard", "oth a", "oth l"];
+
+// QIF dates come as MM/DD/YYYY, MM/DD'YY, M/D/YY or DD/MM/YYYY depending
+// on the exporting app; dateFormat disambiguates the day/month order.
+const parseQIFDate = (value, dateFormat = "MM/DD/YYYY") => {
+  const parts = (value || "")
+    .replace(/'/g, "/")
+    .split(/[/.-]/)
+    .map((p) => Number(p.trim()));
+
+  if (parts.length !== 3 || parts.some((p) => isNaN(p))) return null;
+
+  let [month, day, year] = parts;
+  if (dateFormat === "DD/MM/YYYY") [day, month] = [month, day];
+  if (year < 100) year += year < 70 ? 2000 : 1900;
+
+  const date = new Date(year, month - 1, day);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const isQIF = (text) => /^\s*!Type:/i.test(text);
+
+// Parse a QIF document into statement entries. options.accountId scopes
+// the fingerprints, so the same file imported into two accounts isn't
+// taken for a re-import.
+const parseQIF = (text, options = {}) => {
+  if (!isQIF(text)) {
+    throw new Error("File is not a valid QIF statement");
+  }
+
+  const entries = [];
+  const seen = {};
+  let section = "";
+  let record = {};
+
+  const flush = () => {
+    if (Object.keys(record).length === 0) return;
+
+    if (SUPPORTED_TYPES.includes(section)) {
+      // QIF has no bank id; fingerprint the record so re-imports match.
+      // Identical records in one file are told apart by their position.
+      const base = [record.D, record.T, record.P, record.M, record.N].join("|");
+      seen[base] = (seen[base] || 0) + 1;
+      const fingerprint = crypto
+        .createHash("sha1")
+        .update(`${base}|${seen[base]}`)
+        .digest("hex");
+
+      // Categories in [brackets] are transfers to another account
+      const category =
+        record.L && !/^\[.*\]$/.test(record.L)
+          ? record.L.split(":")[0]
+          : undefined;
+
+      entries.push({
+        externalId: `qif:${
+          options.accountId ? `${options.accountId}:` : ""
+        }${fingerprint}`,
+        date: parseQIFDate(record.D, options.dateFormat),
+        amount: Number(String(record.T || record.U || "").replace(/,/g, "")),
+        payee: record.P || "",
+        memo: record.M || "",
+        category,
+      });
+    }
+
+    record = {};
+  };
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith("!")) {
+      flush();
+      const match = line.match(/^!Type:(.*)$/i);
+      section = match ? match[1].trim().toLowerCase() : "";
+      return;
+    }
+
+    if (line === "^") {
+      flush();
+      return;
+    }
+
+    const code = line[0];
+    // Keep the first value of each code (split lines repeat S/E/$)
+    if (record[code] === undefined) record[code] = line.slice(1).trim();
+  });
+
+  flush();
+
+  return entries;
+};
+
+module.exports = {
+  isQIF,
+  parseQIF,
+  parseQIFDate,
+};
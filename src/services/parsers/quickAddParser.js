@@ -0,0 +1,285 @@
+// Deterministic parser for one-line entries like "coffee 4.50 yesterday
+// happy". Every token is either recognized (amount, date, mood, type hint)
+// or kept in the note; nothing is sent to an outside service.
+
+const MOODS = [
+  "happy",
+  "sad",
+  "angry",
+  "stressed",
+  "bored",
+  "excited",
+  "neutral",
+];
+
+const INCOME_HINTS = [
+  "income",
+  "salary",
+  "received",
+  "earned",
+  "bonus",
+  "wage",
+  "wages",
+];
+const EXPENSE_HINTS = ["spent", "bought", "expense"];
+
+// Filler words dropped from the edges of the note ("lunch at" -> "lunch")
+const FILLER_WORDS = ["on", "at", "for", "in", "from", "to"];
+
+const CURRENCY_SYMBOLS = { "€": "EUR", "£": "GBP", "₹": "INR", "¥": "JPY" };
+const CURRENCY_CODES = [
+  "usd",
+  "eur",
+  "gbp",
+  "inr",
+  "jpy",
+  "cad",
+  "aud",
+  "chf",
+  "cny",
+  "pkr",
+];
+
+// Words that point to the default categories when the user has them
+const CATEGORY_KEYWORDS = {
+  food: [
+    "coffee",
+    "lunch",
+    "dinner",
+    "breakfast",
+    "groceries",
+    "grocery",
+    "restaurant",
+    "pizza",
+    "snack",
+    "snacks",
+    "tea",
+  ],
+  travel: ["uber", "taxi", "cab", "bus", "train", "flight", "fuel", "gas"],
+  utilities: ["electricity", "water", "internet", "phone", "wifi"],
+  shopping: ["clothes", "shoes", "amazon", "gift"],
+};
+
+// Month names and the abbreviations accepted for them
+const MONTHS = [
+  ["january", "jan"],
+  ["february", "feb"],
+  ["march", "mar"],
+  ["april", "apr"],
+  ["may"],
+  ["june", "jun"],
+  ["july", "jul"],
+  ["august", "aug"],
+  ["september", "sep", "sept"],
+  ["october", "oct"],
+  ["november", "nov"],
+  ["december", "dec"],
+];
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// "4.50", "4,50", "1,200", "5,000.00", "$12", "+500". A comma before
+// exactly three digits separates thousands, otherwise it is the decimal mark.
+const AMOUNT_PATTERN =
+  /^([+-]?)([$€£₹¥]?)(\d{1,3}(?:,\d{3})+(?:\.\d{1,2})?|\d+(?:[.,]\d{1,2})?)([$€£₹¥]?)$/;
+
+const parseAmount = (digits) =>
+  Number(
+    /,\d{3}(?:\.|$)/.test(digits)
+      ? digits.replace(/,/g, "")
+      : digits.replace(",", ".")
+  );
+
+const startOfDay = (date) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const daysBefore = (now, days) => {
+  const date = startOfDay(now);
+  date.setDate(date.getDate() - days);
+  return date;
+};
+
+// Month index of "mar", "march", "sept"... or -1
+const getMonthIndex = (word) =>
+  MONTHS.findIndex((names) => names.includes(word));
+
+// Numeric dates: 2026-03-12, 12/03, 12-03, 12/03/2026 (day first unless
+// dateFormat is MM/DD/YYYY). Dots are left to amounts ("4.10" is money).
+// A year-less date in the future means last year.
+const parseNumericDate = (word, now, dateFormat) => {
+  let match = word.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    return new Date(Number(match[1]), match[2] - 1, Number(match[3]));
+  }
+
+  match = word.match(/^(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2}|\d{4}))?$/);
+  if (!match) return null;
+
+  let [day, month] = [Number(match[1]), Number(match[2])];
+  if (dateFormat === "MM/DD/YYYY") [day, month] = [month, day];
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  let year = match[3] ? Number(match[3]) : now.getFullYear();
+  if (year < 100) year += 2000;
+
+  const date = new Date(year, month - 1, day);
+  if (!match[3] && date > now) date.setFullYear(year - 1);
+  return date;
+};
+
+// Try to read a date starting at token i. Returns { date, length } or null.
+const parseDateAt = (words, i, now, dateFormat) => {
+  const word = words[i];
+  const next = words[i + 1];
+
+  if (word === "today") return { date: startOfDay(now), length: 1 };
+  if (word === "yesterday") return { date: daysBefore(now, 1), length: 1 };
+
+  // "3 days ago"
+  if (/^\d+$/.test(word) && /^days?$/.test(next) && words[i + 2] === "ago") {
+    return { date: daysBefore(now, Number(word)), length: 3 };
+  }
+
+  // "monday" or "last monday": the most recent one before today
+  const weekdayWord = word === "last" ? next : word;
+  const weekday = WEEKDAYS.indexOf(weekdayWord);
+  if (weekday !== -1) {
+    const back = (now.getDay() - weekday + 7) % 7 || 7;
+    return { date: daysBefore(now, back), length: word === "last" ? 2 : 1 };
+  }
+
+  // "12 mar" or "mar 12"
+  const monthFirst = getMonthIndex(word);
+  const monthSecond = next ? getMonthIndex(next) : -1;
+  const dayWord =
+    monthFirst !== -1 ? next : monthSecond !== -1 ? word : undefined;
+  if (dayWord && /^\d{1,2}$/.test(dayWord)) {
+    const month = monthFirst !== -1 ? monthFirst : monthSecond;
+    const date = new Date(now.getFullYear(), month, Number(dayWord));
+    if (date > now) date.setFullYear(date.getFullYear() - 1);
+    return { date, length: 2 };
+  }
+
+  const numeric = parseNumericDate(word, now, dateFormat);
+  return numeric ? { date: numeric, length: 1 } : null;
+};
+
+// Match the user's categories against the text: a category named in the
+// text wins, then keywords of the default categories
+const matchCategory = (words, categories) => {
+  const text = ` ${words.join(" ")} `;
+  const byName = categories.find((name) =>
+    text.includes(` ${name.toLowerCase()} `)
+  );
+  if (byName) return byName;
+
+  for (const [key, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+    const category = categories.find((name) => name.toLowerCase() === key);
+    if (category && keywords.some((keyword) => words.includes(keyword))) {
+      return category;
+    }
+  }
+
+  return undefined;
+};
+
+// Parse a quick-add line into transaction fields. Fields that could not be
+// recognized are left undefined and listed in `missing`.
+const parseQuickAdd = (
+  text,
+  { categories = [], now = new Date(), dateFormat } = {}
+) => {
+  const tokens = String(text || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  const words = tokens.map((token) => token.toLowerCase());
+  const used = new Array(tokens.length).fill(false);
+  // Type hints still count for the category ("salary") but not the note
+  const hints = new Array(tokens.length).fill(false);
+
+  const draft = {};
+  let sign = "";
+
+  // Dates first so "12/03" or "3 days ago" aren't read as amounts
+  for (let i = 0; i < words.length && !draft.date; i++) {
+    const found = parseDateAt(words, i, now, dateFormat);
+    if (found) {
+      draft.date = found.date;
+      used.fill(true, i, i + found.length);
+    }
+  }
+
+  words.forEach((word, i) => {
+    if (used[i]) return;
+
+    const amount = word.match(AMOUNT_PATTERN);
+    if (amount && draft.amount === undefined) {
+      draft.amount = parseAmount(amount[3]);
+      sign = amount[1];
+      const symbol = amount[2] || amount[4];
+      if (CURRENCY_SYMBOLS[symbol]) draft.currency = CURRENCY_SYMBOLS[symbol];
+      used[i] = true;
+
+      // "4.50 eur" or "eur 4.50"
+      [i + 1, i - 1].forEach((j) => {
+        if (!draft.currency && !used[j] && CURRENCY_CODES.includes(words[j])) {
+          draft.currency = words[j].toUpperCase();
+          used[j] = true;
+        }
+      });
+      return;
+    }
+
+    if (MOODS.includes(word) && !draft.mood) {
+      draft.mood = word;
+      used[i] = true;
+    } else if (INCOME_HINTS.includes(word)) {
+      draft.type = draft.type || "income";
+      hints[i] = true;
+    } else if (EXPENSE_HINTS.includes(word)) {
+      draft.type = draft.type || "expense";
+      hints[i] = true;
+    }
+  });
+
+  // "+500" is income, otherwise spending is the default
+  if (!draft.type) draft.type = sign === "+" ? "income" : "expense";
+
+  draft.category = matchCategory(
+    words.filter((word, i) => !used[i]),
+    categories
+  );
+
+  // Whatever is left is the note, in the user's own spelling
+  const rest = tokens.filter((token, i) => !used[i] && !hints[i]);
+  while (rest.length && FILLER_WORDS.includes(rest[0].toLowerCase())) {
+    rest.shift();
+  }
+  while (
+    rest.length &&
+    FILLER_WORDS.includes(rest[rest.length - 1].toLowerCase())
+  ) {
+    rest.pop();
+  }
+  if (rest.length) draft.note = rest.join(" ");
+
+  if (!draft.date) draft.date = startOfDay(now);
+
+  const missing = ["amount", "category"].filter(
+    (field) => draft[field] === undefined
+  );
+
+  return { draft, missing };
+};
+
+module.exports = {
+  parseQuickAdd,
+};
@@ -0,0 +1,209 @@
+const Payee = require("../models/Payee");
+const Transaction = require("../models/Transaction");
+const { ApiError } = require("../utils/ApiError");
+const {
+  baseAmountExpr,
+  SPEND_TYPES,
+  spendAmountExpr,
+  roundAmount,
+} = require("../utils/currency");
+
+// Card processors that put the merchant after the "*" ("SQ *COFFEE BAR")
+const PROCESSOR_PREFIXES = ["sq", "tst", "paypal", "pp", "sp"];
+
+// Words banks add around merchant names
+const NOISE_WORDS = [
+  "pos",
+  "purchase",
+  "payment",
+  "debit",
+  "credit",
+  "card",
+  "visa",
+  "mastercard",
+  "www",
+  "com",
+  "inc",
+  "ltd",
+  "llc",
+];
+
+// "UBER *TRIP 1234" -> "uber", "SQ *Blue Bottle" -> "blue bottle",
+// "Café Nero" -> "cafe nero". Letters of any script are kept; accents are
+// dropped from Latin letters only, since marks in other scripts (Arabic,
+// Devanagari...) are part of the spelling.
+const normalizePayeeName = (text) => {
+  let value = String(text || "").toLowerCase();
+
+  const [before, ...after] = value.split("*");
+  if (after.length > 0) {
+    value = PROCESSOR_PREFIXES.includes(before.trim())
+      ? after.join(" ")
+      : before;
+  }
+
+  return value
+    .normalize("NFKD")
+    .replace(/(\p{Script=Latin})\p{M}+/gu, "$1")
+    .replace(/[^\p{L}\p{M}\s]/gu, " ")
+    .split(/\s+/)
+    .filter((word) => word && !NOISE_WORDS.includes(word))
+    .join(" ");
+};
+
+// Load the user's payees once and return a synchronous matcher. A payee
+// matches when its name or an alias equals the normalized text or starts
+// it ("uber" matches "Uber to airport"); the longest match wins.
+const getPayeeMatcher = async (userId) => {
+  const payees = await Payee.find({ user: userId });
+
+  const keys = [];
+  payees.forEach((payee) => {
+    [payee.normalizedName, ...payee.aliases].forEach((key) => {
+      if (key) keys.push({ key, payee });
+    });
+  });
+  keys.sort((a, b) => b.key.length - a.key.length);
+
+  const match = (text) => {
+    const normalized = normalizePayeeName(text);
+    if (!normalized) return null;
+
+    const found = keys.find(
+      ({ key }) => normalized === key || normalized.startsWith(`${key} `)
+    );
+    return found ? found.payee : null;
+  };
+
+  return { match };
+};
+
+// Payee for a new transaction: an explicit payee (id, name or alias of an
+// existing payee) wins, otherwise the note is matched against existing
+// payees. Payees are only created through POST /api/payees, so typos don't
+// pile up as new merchants.
+const resolvePayee = async (userId, { payee, note }) => {
+  if (payee && /^[a-f0-9]{24}$/i.test(payee)) {
+    const existing = await Payee.findOne({ _id: payee, user: userId });
+    if (!existing) throw new ApiError(404, "Payee not found");
+    return existing;
+  }
+
+  const matcher = await getPayeeMatcher(userId);
+  if (!payee) return matcher.match(note);
+
+  const existing = matcher.match(payee);
+  if (!existing) {
+    throw new ApiError(
+      404,
+      `Payee "${payee}" not found. Create it with POST /api/payees first`
+    );
+  }
+  return existing;
+};
+
+// Normalized aliases, without blanks, repeats or the payee's own name
+const normalizeAliases = (aliases, normalizedName) => [
+  ...new Set(
+    (Array.isArray(aliases) ? aliases : [])
+      .map(normalizePayeeName)
+      .filter((alias) => alias && alias !== normalizedName)
+  ),
+];
+
+// A name or alias can only point to one payee
+const assertNamesAvailable = async (userId, names, excludeId) => {
+  const clash = await Payee.findOne({
+    user: userId,
+    _id: { $ne: excludeId },
+    $or: [{ normalizedName: { $in: names } }, { aliases: { $in: names } }],
+  });
+
+  if (clash) {
+    throw new ApiError(400, `"${clash.name}" already uses this name or alias`);
+  }
+};
+
+// Spend per payee in the base currency: totals, last-seen date and the
+// average expense ("ticket"). Keyed by payee id.
+const getPayeeStats = async (userId, { startDate, endDate, payee } = {}) => {
+  const match = { user: userId, payee: payee || { $exists: true } };
+  if (startDate || endDate) {
+    match.date = {};
+    if (startDate) match.date.$gte = new Date(startDate);
+    if (endDate) match.date.$lte = new Date(endDate);
+  }
+
+  const isExpense = { $eq: ["$type", "expense"] };
+  const rows = await Transaction.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$payee",
+        count: { $sum: 1 },
+        // Refunds reduce the spend but not the number of purchases
+        totalSpent: {
+          $sum: {
+            $cond: [{ $in: ["$type", SPEND_TYPES] }, spendAmountExpr, 0],
+          },
+        },
+        totalReceived: {
+          $sum: {
+            $cond: [{ $eq: ["$type", "income"] }, baseAmountExpr, 0],
+          },
+        },
+        expenseCount: { $sum: { $cond: [isExpense, 1, 0] } },
+        lastSeen: { $max: "$date" },
+      },
+    },
+  ]);
+
+  const stats = {};
+  rows.forEach(({ _id, expenseCount, ...row }) => {
+    stats[String(_id)] = {
+      ...row,
+      totalSpent: roundAmount(row.totalSpent),
+      totalReceived: roundAmount(row.totalReceived),
+      averageTicket:
+        expenseCount > 0 ? roundAmount(row.totalSpent / expenseCount) : 0,
+    };
+  });
+  return stats;
+};
+
+// Merge payees into `target`: their names and aliases become aliases of
+// the target and their transactions are relinked. Reconciled ones are
+// relinked too: the payee is not part of what was reconciled, and they
+// would otherwise point at a deleted payee.
+const mergePayees = async (target, sources) => {
+  const aliases = new Set(target.aliases);
+  sources.forEach((source) => {
+    [source.normalizedName, ...source.aliases].forEach((key) => {
+      if (key && key !== target.normalizedName) aliases.add(key);
+    });
+  });
+
+  const sourceIds = sources.map((source) => source._id);
+
+  // Sources are dropped last, so a failed save or relink loses nothing
+  target.aliases = [...aliases];
+  await target.save();
+
+  const { modifiedCount } = await Transaction.updateMany(
+    { user: target.user, payee: { $in: sourceIds } },
+    { $set: { payee: target._id } }
+  );
+  await Payee.deleteMany({ _id: { $in: sourceIds } });
+
+  return { payee: target, relinked: modifiedCount };
+};
+
+module.exports = {
+  normalizePayeeName,
+  getPayeeMatcher,
+  resolvePayee,
+  normalizeAliases,
+  assertNamesAvailable,
+  getPayeeStats,
+  mergePayees,
+};
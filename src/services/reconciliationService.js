@@ -0,0 +1,201 @@
+const mongoose = require("mongoose");
+const Account = require("../models/Account");
+const Reconciliation = require("../models/Reconciliation");
+const Transaction = require("../models/Transaction");
+const { ApiError } = require("../utils/ApiError");
+const { roundAmount } = require("../utils/currency");
+const { getBalanceEffect } = require("./accountService");
+
+// Statuses that count towards the cleared balance
+const CLEARED_STATUSES = ["cleared", "reconciled"];
+
+// Reconciled transactions are locked until their reconciliation is undone
+const assertNotReconciled = (transaction, action = "changed") => {
+  if (transaction.status === "reconciled") {
+    throw new ApiError(
+      400,
+      `This transaction is reconciled and cannot be ${action}`
+    );
+  }
+};
+
+// Helper to get the end of the statement day
+const getStatementEnd = (session) => {
+  const end = new Date(session.statementDate);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+// Transactions of the account up to the statement date
+const accountQuery = (session) => ({
+  user: session.user,
+  $or: [{ account: session.account }, { toAccount: session.account }],
+  date: { $lte: getStatementEnd(session) },
+});
+
+// Transactions that can still be ticked off in a session, oldest first
+const getOpenTransactions = (session) =>
+  Transaction.find({
+    ...accountQuery(session),
+    status: { $ne: "reconciled" },
+  }).sort({ date: 1 });
+
+// Cleared balance against the statement: opening balance plus every
+// cleared or reconciled transaction up to the statement date
+const getSummary = async (session) => {
+  const account = await Account.findById(session.account);
+  if (!account) {
+    throw new ApiError(404, "Account not found");
+  }
+
+  const transactions = await Transaction.find(accountQuery(session));
+
+  let clearedBalance = account.openingBalance;
+  let cleared = 0;
+  let pending = 0;
+  transactions.forEach((txn) => {
+    if (CLEARED_STATUSES.includes(txn.status)) {
+      clearedBalance += getBalanceEffect(txn, account._id);
+      if (txn.status === "cleared") cleared += 1;
+    } else {
+      pending += 1;
+    }
+  });
+
+  clearedBalance = roundAmount(clearedBalance);
+  return {
+    statementBalance: session.statementBalance,
+    clearedBalance,
+    difference: roundAmount(session.statementBalance - clearedBalance),
+    cleared,
+    pending,
+  };
+};
+
+// Start a session; an account has at most one open session, and each
+// statement must end after the last reconciled one
+const startReconciliation = async (
+  userId,
+  account,
+  { statementDate, statementBalance }
+) => {
+  const open = await Reconciliation.findOne({
+    account: account._id,
+    status: "in_progress",
+  });
+  if (open) {
+    throw new ApiError(
+      400,
+      "This account already has a reconciliation in progress"
+    );
+  }
+
+  const last = await Reconciliation.findOne({
+    account: account._id,
+    status: "completed",
+  }).sort({ statementDate: -1 });
+  if (last && new Date(statementDate) <= last.statementDate) {
+    throw new ApiError(
+      400,
+      "The statement date must be after the last reconciled statement"
+    );
+  }
+
+  return Reconciliation.create({
+    user: userId,
+    account: account._id,
+    statementDate,
+    statementBalance,
+  });
+};
+
+// Tick transactions off as cleared (or back to pending) in a session
+const setCleared = async (session, ids, cleared = true) => {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw new ApiError(400, "Please provide transaction ids");
+  }
+  if (!ids.every((id) => mongoose.isValidObjectId(id))) {
+    throw new ApiError(400, "Invalid transaction id");
+  }
+
+  const transactions = await Transaction.find({
+    ...accountQuery(session),
+    _id: { $in: ids },
+    status: { $ne: "reconciled" },
+  }).select("_id");
+  if (transactions.length !== new Set(ids.map(String)).size) {
+    throw new ApiError(
+      400,
+      "Some transactions are not open transactions of this account up to the statement date"
+    );
+  }
+
+  await Transaction.updateMany(
+    { _id: { $in: ids } },
+    { $set: { status: cleared ? "cleared" : "pending" } }
+  );
+};
+
+// Lock the cleared transactions once the cleared balance matches the
+// statement
+const completeReconciliation = async (session) => {
+  const summary = await getSummary(session);
+  if (summary.difference !== 0) {
+    throw new ApiError(
+      400,
+      `The cleared balance is ${summary.difference} away from the statement balance`
+    );
+  }
+
+  const cleared = await Transaction.find({
+    ...accountQuery(session),
+    status: "cleared",
+  }).select("_id");
+  const ids = cleared.map((txn) => txn._id);
+
+  await Transaction.updateMany(
+    { _id: { $in: ids } },
+    { $set: { status: "reconciled" } }
+  );
+
+  session.status = "completed";
+  session.completedAt = new Date();
+  session.transactions = ids;
+  await session.save();
+
+  return summary;
+};
+
+// Cancel an open session, or undo the account's latest completed one
+// (its transactions go back to cleared)
+const removeReconciliation = async (session) => {
+  if (session.status === "completed") {
+    const latest = await Reconciliation.findOne({
+      account: session.account,
+      status: "completed",
+    }).sort({ statementDate: -1 });
+    if (!latest || !latest._id.equals(session._id)) {
+      throw new ApiError(
+        400,
+        "Only the latest reconciliation of an account can be undone"
+      );
+    }
+
+    await Transaction.updateMany(
+      { _id: { $in: session.transactions }, status: "reconciled" },
+      { $set: { status: "cleared" } }
+    );
+  }
+
+  await session.deleteOne();
+};
+
+module.exports = {
+  assertNotReconciled,
+  getOpenTransactions,
+  getSummary,
+  startReconciliation,
+  setCleared,
+  completeReconciliation,
+  removeReconciliation,
+};
@@ -0,0 +1,235 @@
+const RecurringTransaction = require("../models/RecurringTransaction");
+const Transaction = require("../models/Transaction");
+const TransactionHistory = require("../models/TransactionHistory");
+const {
+  applyTransactionToBudget,
+  recalculateBudgetPeriods,
+} = require("./budgetService");
+const { getDefaultAccount } = require("./accountService");
+const { getConverter } = require("./currencyService");
+const { recordChange } = require("./historyService");
+
+// Safety cap so a rule with an old start date cannot flood one run
+const MAX_OCCURRENCES_PER_RUN = 1000;
+
+// Helper to get YYYY-MM-DD key for a date (used to match exceptions)
+const getDateKey = (date) => {
+  // Plain YYYY-MM-DD strings are already keys (avoid UTC parsing shifts)
+  if (typeof date === "string" && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return date;
+  }
+
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(
+    2,
+    "0"
+  )}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+// Calculate the scheduled date of the Nth occurrence (0 = startDate)
+// Monthly and yearly rules clamp to the last day of shorter months.
+const getOccurrenceDate = (rule, index) => {
+  const start = new Date(rule.startDate);
+  const step = index * (rule.interval || 1);
+  const year = start.getFullYear();
+  const month = start.getMonth();
+  const day = start.getDate();
+  const time = [
+    start.getHours(),
+    start.getMinutes(),
+    start.getSeconds(),
+    start.getMilliseconds(),
+  ];
+
+  switch (rule.frequency) {
+    case "daily":
+      return new Date(year, month, day + step, ...time);
+    case "weekly":
+      return new Date(year, month, day + step * 7, ...time);
+    case "monthly": {
+      const lastDay = new Date(year, month + step + 1, 0).getDate();
+      return new Date(year, month + step, Math.min(day, lastDay), ...time);
+    }
+    case "yearly": {
+      const lastDay = new Date(year + step, month + 1, 0).getDate();
+      return new Date(year + step, month, Math.min(day, lastDay), ...time);
+    }
+    default:
+      throw new Error(`Unknown frequency: ${rule.frequency}`);
+  }
+};
+
+const isPastEnd = (rule, date) =>
+  Boolean(rule.endDate) && date > new Date(rule.endDate);
+
+const findException = (rule, date) => {
+  const key = getDateKey(date);
+  return (rule.exceptions || []).find((e) => e.date === key);
+};
+
+// Build the transaction fields for one occurrence, applying any override
+const buildOccurrence = (rule, date) => {
+  const exception = findException(rule, date);
+
+  if (exception && exception.action === "skip") {
+    return { date, skipped: true };
+  }
+
+  const override =
+    exception && exception.action === "override" ? exception : {};
+
+  return {
+    date,
+    skipped: false,
+    type: rule.type,
+    amount: override.amount || rule.amount,
+    category: override.category || rule.category,
+    note: override.note !== undefined ? override.note : rule.note,
+    mood: override.mood || rule.mood,
+  };
+};
+
+// Helper to recompute nextRunDate from occurrenceCount
+const refreshNextRunDate = (rule) => {
+  const next = getOccurrenceDate(rule, rule.occurrenceCount);
+  rule.nextRunDate = isPastEnd(rule, next) ? null : next;
+  return rule.nextRunDate;
+};
+
+// Preview the next occurrences of a rule without posting them
+const getUpcomingOccurrences = (rule, count = 5) => {
+  const upcoming = [];
+  let index = rule.occurrenceCount || 0;
+
+  while (upcoming.length < count) {
+    const date = getOccurrenceDate(rule, index);
+    if (isPastEnd(rule, date)) break;
+    upcoming.push(buildOccurrence(rule, date));
+    index++;
+  }
+
+  return upcoming;
+};
+
+// Finish an occurrence posted by an earlier run that stopped before saving
+// the rule, so its budget step may not have run. The period is recomputed
+// from scratch (safe to repeat) and the creation recorded if it is missing.
+const finishPostedOccurrence = async (rule, date) => {
+  const transaction = await Transaction.findOne({ recurring: rule._id, date });
+  // Trashed since, so it no longer counts
+  if (!transaction) return;
+
+  await recalculateBudgetPeriods(rule.user, [date]);
+  if (!(await TransactionHistory.exists({ transaction: transaction._id }))) {
+    await recordChange(transaction, "create", { source: "recurring" });
+  }
+};
+
+// Post every occurrence of a rule that is due on or before `until`
+const materializeRule = async (rule, until = new Date()) => {
+  const created = [];
+  let processed = 0;
+  const { convert } = await getConverter(rule.user);
+
+  while (processed < MAX_OCCURRENCES_PER_RUN) {
+    const date = getOccurrenceDate(rule, rule.occurrenceCount);
+    if (date > until || isPastEnd(rule, date)) break;
+
+    const occurrence = buildOccurrence(rule, date);
+
+    if (!occurrence.skipped) {
+      if (!rule.account) {
+        rule.account = (await getDefaultAccount(rule.user))._id;
+      }
+
+      let transaction;
+      try {
+        transaction = await Transaction.create({
+          user: rule.user,
+          amount: occurrence.amount,
+          type: occurrence.type,
+          category: occurrence.category,
+          date: occurrence.date,
+          note: occurrence.note,
+          mood: occurrence.mood,
+          account: rule.account,
+          recurring: rule._id,
+          // Each occurrence uses the rate at its own date
+          ...convert(occurrence.amount, rule.currency, occurrence.date),
+        });
+      } catch (error) {
+        // Posted by an earlier run that stopped before saving the rule
+        if (error.code !== 11000) throw error;
+      }
+
+      if (transaction) {
+        // Same budget update addTransaction applies
+        await applyTransactionToBudget(transaction);
+        await recordChange(transaction, "create", { source: "recurring" });
+        created.push(transaction);
+      } else {
+        await finishPostedOccurrence(rule, occurrence.date);
+      }
+    }
+
+    // Persist progress after each occurrence. An occurrence posted before a
+    // crash is caught by the unique { recurring, date } index on the rerun.
+    rule.occurrenceCount += 1;
+    processed++;
+    refreshNextRunDate(rule);
+    rule.lastRunAt = new Date();
+    await rule.save();
+  }
+
+  return created;
+};
+
+// Materialize all due rules, optionally restricted to one user
+const materializeDueTransactions = async (userId, until = new Date()) => {
+  const query = {
+    isActive: true,
+    nextRunDate: { $ne: null, $lte: until },
+  };
+  if (userId) query.user = userId;
+
+  const rules = await RecurringTransaction.find(query);
+
+  const created = [];
+  for (const rule of rules) {
+    // One failing rule (e.g. a missing exchange rate) must not block others
+    try {
+      created.push(...(await materializeRule(rule, until)));
+    } catch (error) {
+      console.error(`Recurring rule ${rule._id} failed:`, error.message);
+    }
+  }
+
+  return created;
+};
+
+// Periodically post due occurrences for all users
+const startRecurringScheduler = (intervalMs = 60 * 60 * 1000) => {
+  const run = async () => {
+    try {
+      const created = await materializeDueTransactions();
+      if (created.length > 0) {
+        console.log(`Recurring: posted ${created.length} transaction(s)`);
+      }
+    } catch (error) {
+      console.error("Recurring scheduler error:", error.message);
+    }
+  };
+
+  run();
+  return setInterval(run, intervalMs);
+};
+
+module.exports = {
+  getDateKey,
+  getOccurrenceDate,
+  getUpcomingOccurrences,
+  refreshNextRunDate,
+  materializeRule,
+  materializeDueTransactions,
+  startRecurringScheduler,
+};
@@ -0,0 +1,86 @@
+const Transaction = require("../models/Transaction");
+const { ApiError } = require("../utils/ApiError");
+const { roundAmount } = require("../utils/currency");
+
+// Refund limits, shared by refundService and the edit and revert paths.
+// Depends on models only, so historyService can use it too.
+
+// Amount refunded so far per expense id (in each expense's currency)
+const getRefundedAmounts = async (userId, expenseIds, excludeId) => {
+  const query = { user: userId, type: "refund", refundOf: { $in: expenseIds } };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const refunds = await Transaction.find(query).select("refundOf amount");
+
+  const totals = {};
+  refunds.forEach((refund) => {
+    const key = String(refund.refundOf);
+    totals[key] = roundAmount((totals[key] || 0) + refund.amount);
+  });
+  return totals;
+};
+
+// What is left to refund on an expense
+const getRefundableAmount = async (expense, excludeId) => {
+  const refunded = await getRefundedAmounts(
+    expense.user,
+    [expense._id],
+    excludeId
+  );
+  return roundAmount(expense.amount - (refunded[String(expense._id)] || 0));
+};
+
+// Keep refunds and their expenses consistent when either is edited
+const assertRefundUpdateAllowed = async (transaction, previous) => {
+  if ((transaction.type === "refund") !== (previous.type === "refund")) {
+    throw new ApiError(
+      400,
+      "Refunds are recorded against an expense and cannot change type"
+    );
+  }
+
+  if (transaction.type === "refund") {
+    if (transaction.currency !== previous.currency) {
+      throw new ApiError(400, "A refund stays in the currency of its expense");
+    }
+    const expense = await Transaction.findById(transaction.refundOf).setOptions(
+      { withDeleted: true }
+    );
+    if (!expense) return;
+
+    const remaining = await getRefundableAmount(expense, transaction._id);
+    if (transaction.amount > remaining) {
+      throw new ApiError(
+        400,
+        `Refunds cannot exceed the expense amount (${remaining} left to refund)`
+      );
+    }
+    return;
+  }
+
+  if (previous.type !== "expense") return;
+
+  const refunded =
+    (await getRefundedAmounts(previous.user, [previous._id]))[
+      String(previous._id)
+    ] || 0;
+  if (refunded === 0) return;
+
+  // Expenses from before multi-currency get their currency stamped on edit
+  if (
+    transaction.type !== "expense" ||
+    (previous.currency && transaction.currency !== previous.currency) ||
+    transaction.amount < refunded
+  ) {
+    throw new ApiError(
+      400,
+      `This expense has ${refunded} in refunds; it must stay an expense in the same currency of at least that amount`
+    );
+  }
+};
+
+module.exports = {
+  getRefundedAmounts,
+  getRefundableAmount,
+  assertRefundUpdateAllowed,
+};
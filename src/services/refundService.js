@@ -0,0 +1,198 @@
+const Account = require("../models/Account");
+const Transaction = require("../models/Transaction");
+const { ApiError } = require("../utils/ApiError");
+const { roundAmount } = require("../utils/currency");
+const { hasSplits } = require("../utils/splits");
+const { applyTransactionToBudget } = require("./budgetService");
+const { getConverter } = require("./currencyService");
+const { getDefaultAccount, resolveAccount } = require("./accountService");
+const { recordChange } = require("./historyService");
+const {
+  getRefundedAmounts,
+  getRefundableAmount,
+} = require("./refundLimitService");
+
+// Splits of a partial refund, in proportion to the expense's splits.
+// Rounding leftovers go to the last split.
+const scaleSplits = (expense, amount) => {
+  if (!hasSplits(expense)) return undefined;
+
+  const ratio = amount / expense.amount;
+  const splits = expense.splits.map((s) => ({
+    category: s.category,
+    amount: roundAmount(s.amount * ratio),
+    note: s.note,
+  }));
+  const total = splits.reduce((sum, s) => sum + s.amount, 0);
+  const last = splits[splits.length - 1];
+  last.amount = roundAmount(last.amount + amount - total);
+
+  return splits.filter((s) => s.amount > 0);
+};
+
+// Splits of an edited refund follow its new amount (call it when the edit
+// leaves the splits alone)
+const rescaleRefundSplits = (refund, previous) => {
+  if (refund.type !== "refund" || refund.amount === previous.amount) return;
+
+  const splits = scaleSplits(previous, refund.amount);
+  if (splits) refund.splits = splits;
+};
+
+// Record a refund (or reimbursement) of an expense. It takes the expense's
+// category, splits, currency, payee and tags so it reduces the same spend.
+// The amount defaults to what is left to refund.
+const createRefund = async (expense, data, userId) => {
+  if (expense.type !== "expense") {
+    throw new ApiError(400, "Only expenses can be refunded");
+  }
+
+  const remaining = await getRefundableAmount(expense);
+  if (remaining <= 0) {
+    throw new ApiError(400, "This expense is already fully refunded");
+  }
+
+  const amount = data.amount !== undefined ? Number(data.amount) : remaining;
+  if (!(amount > 0)) {
+    throw new ApiError(400, "Amount must be greater than 0");
+  }
+  if (amount > remaining) {
+    throw new ApiError(
+      400,
+      `Refunds cannot exceed the expense amount (${remaining} left to refund)`
+    );
+  }
+
+  // Money comes back to the expense's account unless told otherwise
+  const account = data.account
+    ? await resolveAccount(userId, data.account)
+    : (await Account.findOne({ _id: expense.account, user: expense.user })) ||
+      (await getDefaultAccount(expense.user));
+
+  const date = data.date || new Date();
+  const { convert } = await getConverter(userId);
+
+  const refund = await Transaction.create({
+    user: expense.user,
+    type: "refund",
+    refundOf: expense._id,
+    amount,
+    date,
+    category: expense.category,
+    splits: scaleSplits(expense, amount),
+    note: data.note || expense.note,
+    payee: expense.payee,
+    tags: expense.tags,
+    account: account._id,
+    ...convert(amount, expense.currency, date),
+  });
+
+  // Gives the amount back to the month's budget
+  await applyTransactionToBudget(refund);
+
+  await recordChange(refund, "create", { userId });
+
+  return refund;
+};
+
+// Refunds of an expense with the refunded and remaining amounts
+const getRefunds = async (expense) => {
+  const refunds = await Transaction.find({
+    user: expense.user,
+    type: "refund",
+    refundOf: expense._id,
+  }).sort({ date: 1 });
+
+  const refunded = roundAmount(
+    refunds.reduce((sum, refund) => sum + refund.amount, 0)
+  );
+
+  return {
+    refunds,
+    refunded,
+    remaining: roundAmount(expense.amount - refunded),
+  };
+};
+
+// Ids of the expenses among `transactions` that have refunds outside of
+// them (refunds selected along with their expense go too)
+const findExpensesWithRefunds = async (transactions) => {
+  const expenseIds = transactions
+    .filter((txn) => txn.type === "expense")
+    .map((txn) => txn._id);
+  if (expenseIds.length === 0) return [];
+
+  const refunds = await Transaction.find({
+    user: transactions[0].user,
+    type: "refund",
+    refundOf: { $in: expenseIds },
+    _id: { $nin: transactions.map((txn) => txn._id) },
+  }).select("refundOf");
+
+  return [...new Set(refunds.map((refund) => String(refund.refundOf)))];
+};
+
+// An expense cannot go to the trash while it has refunds: they would keep
+// reducing spend and adding to the account for an expense that no longer
+// counts
+const assertNoRefunds = async (transactions) => {
+  if ((await findExpensesWithRefunds(transactions)).length > 0) {
+    throw new ApiError(
+      400,
+      "This expense has refunds. Move its refunds to the trash first"
+    );
+  }
+};
+
+// A refund can only come back while its expense is active
+const assertRefundRestorable = async (transaction) => {
+  if (transaction.type !== "refund") return;
+
+  if (!(await Transaction.exists({ _id: transaction.refundOf }))) {
+    throw new ApiError(400, "Restore the expense this refund belongs to first");
+  }
+};
+
+// Reimbursable expenses that are not fully paid back yet, oldest first,
+// with the total still owed in base currency
+const getOutstandingReimbursements = async (userId) => {
+  const expenses = await Transaction.find({
+    user: userId,
+    type: "expense",
+    reimbursable: true,
+  }).sort({ date: 1 });
+
+  const refunded = await getRefundedAmounts(
+    userId,
+    expenses.map((expense) => expense._id)
+  );
+
+  const reimbursements = expenses
+    .map((expense) => {
+      const reimbursed = refunded[String(expense._id)] || 0;
+      const outstanding = roundAmount(expense.amount - reimbursed);
+      return {
+        transaction: expense,
+        reimbursed,
+        outstanding,
+        outstandingBase: roundAmount(outstanding * (expense.exchangeRate || 1)),
+      };
+    })
+    .filter((item) => item.outstanding > 0);
+
+  const total = roundAmount(
+    reimbursements.reduce((sum, item) => sum + item.outstandingBase, 0)
+  );
+
+  return { reimbursements, total };
+};
+
+module.exports = {
+  createRefund,
+  getRefunds,
+  rescaleRefundSplits,
+  findExpensesWithRefunds,
+  assertNoRefunds,
+  assertRefundRestorable,
+  getOutstandingReimbursements,
+};
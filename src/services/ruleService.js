@@ -0,0 +1,174 @@
+const Rule = require("../models/Rule");
+const Transaction = require("../models/Transaction");
+const { hasSplits } = require("../utils/splits");
+const { matchesNotePattern } = require("../utils/notePattern");
+const { SPEND_TYPES } = require("../utils/currency");
+const { recalculateBudgetPeriods } = require("./budgetService");
+const { recordChanges } = require("./historyService");
+
+// Active rules of a user in the order they run
+const getActiveRules = (userId) =>
+  Rule.find({ user: userId, isActive: true }).sort({
+    priority: 1,
+    createdAt: 1,
+  });
+
+// Does a rule match transaction data (a document or plain fields)?
+const matchesRule = (rule, data) => {
+  // Transfers are never categorized by rules; refunds keep the category
+  // of their expense
+  if (data.type === "transfer" || data.type === "refund") return false;
+
+  const { noteContains, noteRegex, minAmount, maxAmount, type } =
+    rule.conditions || {};
+  const note = data.note || "";
+  const amount = Number(data.amount);
+
+  if (type && data.type !== type) return false;
+  if (
+    noteContains &&
+    !note.toLowerCase().includes(noteContains.toLowerCase())
+  ) {
+    return false;
+  }
+  if (noteRegex && !matchesNotePattern(noteRegex, note)) return false;
+  if (minAmount != null && !(amount >= minAmount)) return false;
+  if (maxAmount != null && !(amount <= maxAmount)) return false;
+
+  return true;
+};
+
+// Fields the rules would change on transaction data. Rules run in order:
+// the first match sets category and mood, tags of every match are added.
+// Without `overwrite`, only a missing category or mood is filled in.
+const getRuleChanges = (rules, data, { overwrite = false } = {}) => {
+  const changes = {};
+  const tags = [...(data.tags || [])];
+
+  rules.forEach((rule) => {
+    if (!matchesRule(rule, data)) return;
+    const { category, mood } = rule.actions || {};
+
+    // A split transaction's category is just a label for its splits
+    if (
+      category &&
+      changes.category === undefined &&
+      !hasSplits(data) &&
+      (overwrite || !data.category)
+    ) {
+      changes.category = category;
+    }
+    if (mood && changes.mood === undefined && (overwrite || !data.mood)) {
+      changes.mood = mood;
+    }
+    (rule.actions?.tags || []).forEach((tag) => {
+      if (!tags.includes(tag)) tags.push(tag);
+    });
+  });
+
+  if (changes.category === data.category) delete changes.category;
+  if (changes.mood === data.mood) delete changes.mood;
+  if (tags.length !== (data.tags || []).length) changes.tags = tags;
+
+  return changes;
+};
+
+// Transaction data with the rule changes applied
+const applyRules = (rules, data, options) => ({
+  ...data,
+  ...getRuleChanges(rules, data, options),
+});
+
+// Re-run rules over existing transactions. Returns the planned changes and
+// only writes them when `commit` is set.
+const reapplyRules = async (
+  userId,
+  { startDate, endDate, overwrite = true, commit = false } = {}
+) => {
+  const rules = await getActiveRules(userId);
+
+  // Reconciled transactions are locked against edits
+  const query = {
+    user: userId,
+    type: { $nin: ["transfer", "refund"] },
+    status: { $ne: "reconciled" },
+  };
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+
+  const transactions = await Transaction.find(query)
+    .select(
+      "user type amount note payee category mood tags splits date account toAccount currency reimbursable deletedAt"
+    )
+    .lean();
+
+  const changes = [];
+  transactions.forEach((txn) => {
+    const set = getRuleChanges(rules, txn, { overwrite });
+    if (Object.keys(set).length === 0) return;
+
+    changes.push({
+      transaction: txn._id,
+      date: txn.date,
+      note: txn.note,
+      amount: txn.amount,
+      before: Object.fromEntries(Object.keys(set).map((k) => [k, txn[k]])),
+      after: set,
+    });
+  });
+
+  if (commit && changes.length > 0) {
+    await Transaction.bulkWrite(
+      changes.map((c) => ({
+        updateOne: {
+          filter: { _id: c.transaction, status: { $ne: "reconciled" } },
+          update: { $set: c.after },
+        },
+      }))
+    );
+
+    // Category changes move spend between category budgets, which changes
+    // what later periods carry over
+    const byId = new Map(transactions.map((t) => [String(t._id), t]));
+    const recategorized = changes.filter(
+      (c) =>
+        c.after.category !== undefined &&
+        SPEND_TYPES.includes(byId.get(String(c.transaction)).type)
+    );
+    await recalculateBudgetPeriods(
+      userId,
+      recategorized.map((c) => c.date)
+    );
+
+    await recordChanges(
+      changes.map((c) => {
+        const before = byId.get(String(c.transaction));
+        return {
+          transaction: { ...before, ...c.after },
+          action: "update",
+          before,
+          userId,
+          source: "rule",
+        };
+      })
+    );
+  }
+
+  return {
+    rules: rules.length,
+    scanned: transactions.length,
+    changed: changes.length,
+    changes,
+  };
+};
+
+module.exports = {
+  getActiveRules,
+  matchesRule,
+  getRuleChanges,
+  applyRules,
+  reapplyRules,
+};
@@ -0,0 +1,28 @@
+const path = require("path");
+
+// Loaded lazily, like the avatar upload, so local setups need no ImageKit keys
+const getClient = () => require("../../config/imagekit");
+
+// Stores the file in ImageKit; the returned key is the ImageKit fileId
+const save = async (key, buffer) => {
+  const response = await getClient().upload({
+    file: buffer.toString("base64"),
+    fileName: path.basename(key),
+    folder: `/attachments/${path.dirname(key)}`,
+    useUniqueFileName: true,
+  });
+  return response.fileId;
+};
+
+const read = async (key) => {
+  const details = await getClient().getFileDetails(key);
+  const response = await fetch(details.url);
+  if (!response.ok) {
+    throw new Error(`Could not download attachment (${response.status})`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+const remove = (key) => getClient().deleteFile(key);
+
+module.exports = { name: "imagekit", save, read, remove };
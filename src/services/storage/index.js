@@ -0,0 +1,25 @@
+const localStorage = require("./localStorage");
+const imagekitStorage = require("./imagekitStorage");
+
+// Storage adapters share one interface:
+//   save(key, buffer) -> stored key, read(key) -> Buffer, remove(key)
+const adapters = {
+  [localStorage.name]: localStorage,
+  [imagekitStorage.name]: imagekitStorage,
+};
+
+// Adapter by name. Without a name, the one configured for new files
+// (ATTACHMENT_STORAGE=local|imagekit, local by default).
+const getStorage = (name) => {
+  const adapterName =
+    name || process.env.ATTACHMENT_STORAGE || localStorage.name;
+  const adapter = adapters[adapterName];
+
+  if (!adapter) {
+    throw new Error(`Unknown attachment storage "${adapterName}"`);
+  }
+
+  return adapter;
+};
+
+module.exports = { getStorage };
@@ -0,0 +1,37 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Kept outside the statically served /uploads folder so receipts are only
+// reachable through the authenticated download route
+const ROOT_DIR = path.resolve(
+  process.env.ATTACHMENT_DIR || path.join("storage", "attachments")
+);
+
+// Helper to map a key to a path inside ROOT_DIR (rejects "../" tricks)
+const resolvePath = (key) => {
+  const filePath = path.resolve(ROOT_DIR, key);
+  if (!filePath.startsWith(ROOT_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const save = async (key, buffer) => {
+  const filePath = resolvePath(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+  return key;
+};
+
+const read = (key) => fs.readFile(resolvePath(key));
+
+const remove = async (key) => {
+  try {
+    await fs.unlink(resolvePath(key));
+  } catch (error) {
+    // Already gone is fine
+    if (error.code !== "ENOENT") throw error;
+  }
+};
+
+module.exports = { name: "local", save, read, remove };
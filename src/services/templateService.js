@@ -0,0 +1,85 @@
+const { ApiError } = require("../utils/ApiError");
+const { normalizeTags } = require("../utils/tags");
+const { createTransaction } = require("./transactionService");
+
+// Transaction fields a caller can override when applying a template
+const OVERRIDABLE_FIELDS = [
+  "amount",
+  "type",
+  "category",
+  "date",
+  "account",
+  "currency",
+  "note",
+  "payee",
+  "mood",
+  "tags",
+  "reimbursable",
+  "status",
+];
+
+// Helper to describe a template's amount range for error messages
+const describeRange = ({ minAmount, maxAmount }) => {
+  if (minAmount !== undefined && maxAmount !== undefined) {
+    return `between ${minAmount} and ${maxAmount}`;
+  }
+  return minAmount !== undefined
+    ? `at least ${minAmount}`
+    : `at most ${maxAmount}`;
+};
+
+// Create a transaction from a template, with the caller's overrides on top.
+// It goes through the same path as POST /api/transactions (rules, budget,
+// history, duplicate check). The date defaults to now.
+const applyTemplate = async (template, overrides, userId) => {
+  const data = {
+    type: template.type,
+    category: template.category,
+    account: template.account,
+    amount: template.amount,
+    currency: template.currency,
+    note: template.note,
+    mood: template.mood,
+    tags: template.tags,
+    date: new Date(),
+  };
+  OVERRIDABLE_FIELDS.forEach((field) => {
+    if (overrides[field] !== undefined) data[field] = overrides[field];
+  });
+  data.tags = normalizeTags(data.tags);
+
+  const { minAmount, maxAmount } = template;
+  const hasRange = minAmount !== undefined || maxAmount !== undefined;
+
+  if (data.amount === undefined) {
+    throw new ApiError(
+      400,
+      hasRange
+        ? `Amount is required for this template (${describeRange(template)})`
+        : "Amount is required for this template"
+    );
+  }
+
+  data.amount = Number(data.amount);
+  if (
+    (minAmount !== undefined && data.amount < minAmount) ||
+    (maxAmount !== undefined && data.amount > maxAmount)
+  ) {
+    throw new ApiError(
+      400,
+      `Amount must be ${describeRange(template)} for this template`
+    );
+  }
+
+  const result = await createTransaction(userId, data);
+
+  template.usageCount += 1;
+  template.lastUsedAt = new Date();
+  await template.save();
+
+  return result;
+};
+
+module.exports = {
+  applyTemplate,
+};
@@ -0,0 +1,131 @@
+const Transaction = require("../models/Transaction");
+const { ApiError } = require("../utils/ApiError");
+const { normalizeTags } = require("../utils/tags");
+const { applyTransactionToBudget } = require("./budgetService");
+const { resolveAccount } = require("./accountService");
+const { resolvePayee } = require("./payeeService");
+const { getActiveRules, applyRules } = require("./ruleService");
+const { findDuplicatesOf } = require("./duplicateService");
+const { recordChange } = require("./historyService");
+const { getConverter } = require("./currencyService");
+
+// Create a transaction from request fields the way POST /api/transactions
+// does: rules, default category, account, payee and currency conversion are
+// applied, then the budget and the edit history are updated.
+// `defaultCategory` is used when neither the data nor a rule sets one.
+// Returns the transaction with any likely duplicates (it is saved either way).
+const createTransaction = async (userId, data, { defaultCategory } = {}) => {
+  const { amount, type, date, note, splits, currency, reimbursable, status } =
+    data;
+
+  // Refunds need an expense to belong to
+  if (type === "refund") {
+    throw new ApiError(
+      400,
+      "Record refunds with POST /api/transactions/:id/refunds"
+    );
+  }
+  if (status === "reconciled") {
+    throw new ApiError(
+      400,
+      "Transactions are reconciled through /api/reconciliations"
+    );
+  }
+
+  // User-defined rules fill in a missing category or mood and add tags
+  const rules = await getActiveRules(userId);
+  const { mood, tags, ...ruled } = applyRules(rules, {
+    type,
+    amount,
+    note,
+    splits,
+    category: data.category,
+    mood: data.mood,
+    tags: normalizeTags(data.tags),
+  });
+
+  // Transfers and split transactions get a default category
+  let category = ruled.category;
+  if (!category && type === "transfer") category = "Transfer";
+  if (!category && splits && splits.length > 0) category = "Split";
+  if (!category) category = defaultCategory;
+
+  if (!amount || !type || !category || !date) {
+    throw new ApiError(400, "Amount, type, category, and date are required");
+  }
+
+  if (amount <= 0) {
+    throw new ApiError(400, "Amount must be greater than 0");
+  }
+
+  // Every transaction lives in an account (default account if not given)
+  const account = await resolveAccount(userId, data.account);
+  const toAccount =
+    type === "transfer" && data.toAccount
+      ? await resolveAccount(userId, data.toAccount)
+      : undefined;
+
+  // Merchant from `payee` (id or name) or matched from the note
+  const payee = await resolvePayee(userId, { payee: data.payee, note });
+
+  // Convert to the base currency with the rate at the transaction date
+  const { convert } = await getConverter(userId);
+  const converted = convert(amount, currency, date);
+
+  const transaction = await Transaction.create({
+    user: userId,
+    amount,
+    type,
+    category,
+    date,
+    note,
+    payee: payee ? payee._id : undefined,
+    mood,
+    splits,
+    tags,
+    reimbursable,
+    status,
+    account: account._id,
+    toAccount: toAccount ? toAccount._id : undefined,
+    ...converted,
+  });
+
+  // Rule 1: Update Budget Module Automatically
+  await applyTransactionToBudget(transaction);
+
+  await recordChange(transaction, "create", { userId });
+
+  const duplicates = await findDuplicatesOf(transaction);
+
+  return { transaction, duplicates };
+};
+
+// Text search matches whole words only. When it finds nothing (a partial
+// word such as "star" for "Starbucks", or only stop-words), search again by
+// prefix: categories starting with the text, or notes with a word that does.
+const applySearchFallback = async (query) => {
+  if (!query.$text || (await Transaction.exists(query))) return query;
+
+  const { $text, ...rest } = query;
+  const escaped = $text.$search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const prefix = { $regex: `^${escaped}`, $options: "i" };
+
+  return {
+    ...rest,
+    $and: [
+      ...(rest.$and || []),
+      {
+        $or: [
+          { category: prefix },
+          { "splits.category": prefix },
+          { note: { $regex: `\\b${escaped}`, $options: "i" } },
+        ],
+      },
+    ],
+  };
+};
+
+module.exports = {
+  createTransaction,
+  applySearchFallback,
+};
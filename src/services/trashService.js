@@ -0,0 +1,107 @@
+const Transaction = require("../models/Transaction");
+const Bill = require("../models/Bill");
+const Account = require("../models/Account");
+const { applyTransactionToBudget } = require("./budgetService");
+const { getDefaultAccount } = require("./accountService");
+const { removeTransactionAttachments } = require("./attachmentService");
+const { applyExchangeRate } = require("./currencyService");
+const { recordChange } = require("./historyService");
+const { assertNoRefunds, assertRefundRestorable } = require("./refundService");
+
+// Days a deleted transaction or bill stays in the trash before it is purged
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Date a document deleted at `deletedAt` will be purged
+const getPurgeDate = (deletedAt) =>
+  new Date(
+    new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  );
+
+// Move a transaction to the trash. It stops counting toward the budget.
+const trashTransaction = async (transaction, userId, { source } = {}) => {
+  await assertNoRefunds([transaction]);
+
+  const before = transaction.toObject();
+  await applyTransactionToBudget(transaction, -1);
+  await transaction.softDelete();
+  await recordChange(transaction, "delete", { before, userId, source });
+};
+
+// Bring a transaction back, counting it toward the budget again
+const restoreTransaction = async (transaction, userId) => {
+  await assertRefundRestorable(transaction);
+
+  const before = transaction.toObject();
+
+  // Accounts may have been deleted while the transaction was in the trash
+  for (const field of ["account", "toAccount"]) {
+    if (
+      transaction[field] &&
+      !(await Account.exists({ _id: transaction[field] }))
+    ) {
+      transaction[field] = (await getDefaultAccount(transaction.user))._id;
+    }
+  }
+
+  // Rates or the base currency may have changed in the meantime
+  await applyExchangeRate(transaction.user, transaction);
+
+  await transaction.restore();
+  await applyTransactionToBudget(transaction);
+  await recordChange(transaction, "restore", { before, userId });
+};
+
+// Delete a trashed transaction for good, with its receipt files
+const purgeTransaction = async (transaction) => {
+  await removeTransactionAttachments(transaction);
+  await transaction.deleteOne();
+};
+
+// Purge trashed documents (older than the retention period unless
+// `olderThan` says otherwise), optionally for one user only
+const purgeTrash = async (userId, olderThan) => {
+  const cutoff =
+    olderThan ||
+    new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  const query = { deletedAt: { $ne: null, $lte: cutoff } };
+  if (userId) query.user = userId;
+
+  const transactions = await Transaction.find(query);
+  for (const transaction of transactions) {
+    await purgeTransaction(transaction);
+  }
+
+  const { deletedCount } = await Bill.deleteMany(query);
+
+  return { transactions: transactions.length, bills: deletedCount };
+};
+
+// Periodically purge expired trash for all users
+const startTrashPurgeScheduler = (intervalMs = 24 * 60 * 60 * 1000) => {
+  const run = async () => {
+    try {
+      const purged = await purgeTrash();
+      if (purged.transactions + purged.bills > 0) {
+        console.log(
+          `Trash: purged ${purged.transactions} transaction(s) and ${purged.bills} bill(s)`
+        );
+      }
+    } catch (error) {
+      console.error("Trash purge error:", error.message);
+    }
+  };
+
+  run();
+  return setInterval(run, intervalMs);
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  trashTransaction,
+  restoreTransaction,
+  purgeTransaction,
+  purgeTrash,
+  startTrashPurgeScheduler,
+};
@@ -0,0 +1,92 @@
+const Transaction = require("../models/Transaction");
+const { resolveDatePreset } = require("../utils/dateRanges");
+const { categoryPartsStages } = require("../utils/splits");
+const {
+  baseAmountExpr,
+  SPEND_TYPES,
+  spendAmountExpr,
+  roundAmount,
+} = require("../utils/currency");
+
+// Transaction list parameters of a saved view, with its date range
+// resolved for `now`
+const getViewParams = (view, now = new Date()) => {
+  const { filters = {}, dateRange = {}, sortBy, order } = view.toObject();
+
+  const range =
+    dateRange.preset === "custom"
+      ? dateRange
+      : resolveDatePreset(dateRange.preset, now) || {};
+
+  return {
+    ...filters,
+    startDate: range.startDate,
+    endDate: range.endDate,
+    sortBy,
+    order,
+  };
+};
+
+// Totals and category breakdown (base currency) of every transaction
+// matching a list query. Refunds reduce expenses.
+const summarizeTransactions = async (query) => {
+  // Aggregations skip schema casting, so cast the list query first. The
+  // explicit deletedAt keeps $text in the first stage.
+  const match = { ...Transaction.find(query).cast(), deletedAt: null };
+
+  const [result] = await Transaction.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              totalIncome: {
+                $sum: {
+                  $cond: [{ $eq: ["$type", "income"] }, baseAmountExpr, 0],
+                },
+              },
+              totalExpenses: {
+                $sum: {
+                  $cond: [{ $in: ["$type", SPEND_TYPES] }, spendAmountExpr, 0],
+                },
+              },
+            },
+          },
+        ],
+        categories: [
+          { $match: { type: { $in: SPEND_TYPES } } },
+          ...categoryPartsStages(),
+          { $group: { _id: "$category", amount: { $sum: "$amount" } } },
+          { $sort: { amount: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  const totals = result.totals[0] || {
+    count: 0,
+    totalIncome: 0,
+    totalExpenses: 0,
+  };
+
+  return {
+    totals: {
+      count: totals.count,
+      totalIncome: roundAmount(totals.totalIncome),
+      totalExpenses: roundAmount(totals.totalExpenses),
+      net: roundAmount(totals.totalIncome - totals.totalExpenses),
+    },
+    categoryBreakdown: result.categories.map((row) => ({
+      category: row._id,
+      amount: roundAmount(row.amount),
+    })),
+  };
+};
+
+module.exports = {
+  getViewParams,
+  summarizeTransactions,
+};
@@ -0,0 +1,142 @@
+// Budget periods. A period is identified by a key: "YYYY-MM" for calendar
+// months, otherwise the date the period starts on ("YYYY-MM-DD").
+//   monthly   calendar months
+//   weekly    7 days from `weekStartDay` (0 = Sunday)
+//   biweekly  14 days, counted from `anchorDate` (e.g. a payday)
+//   custom    a month starting on `monthStartDay` (e.g. the 25th)
+
+const PERIOD_TYPES = ["monthly", "weekly", "biweekly", "custom"];
+
+// Words for messages ("your weekly budget", "this week")
+const PERIOD_ADJECTIVES = {
+  monthly: "monthly",
+  weekly: "weekly",
+  biweekly: "bi-weekly",
+  custom: "monthly",
+};
+const PERIOD_NOUNS = {
+  monthly: "month",
+  weekly: "week",
+  biweekly: "period",
+  custom: "month",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper to get YYYY-MM month key for a date
+const getMonthKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+};
+
+// Helper to get the date range covered by a YYYY-MM month
+const getMonthRange = (month) => {
+  const [year, monthIndex] = month.split("-").map(Number);
+  const startDate = new Date(year, monthIndex - 1, 1);
+  const endDate = new Date(year, monthIndex, 0, 23, 59, 59, 999);
+  return { startDate, endDate };
+};
+
+// Helper to get the YYYY-MM-DD key of a date (local time)
+const getDayKey = (date) =>
+  `${getMonthKey(date)}-${String(date.getDate()).padStart(2, "0")}`;
+
+const parseDayKey = (key) => {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Whole days from a to b, safe across daylight saving changes
+const daysBetween = (a, b) =>
+  Math.round(
+    (Date.UTC(b.getFullYear(), b.getMonth(), b.getDate()) -
+      Date.UTC(a.getFullYear(), a.getMonth(), a.getDate())) /
+      DAY_MS
+  );
+
+// Length in days of the fixed-length periods
+const PERIOD_DAYS = { weekly: 7, biweekly: 14 };
+
+// Key of the period a date falls in, for a user's period settings
+const getPeriodKey = (date, settings = {}) => {
+  const d = new Date(date);
+  const day = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+
+  switch (settings.type) {
+    case "weekly": {
+      const back = (day.getDay() - (settings.weekStartDay ?? 1) + 7) % 7;
+      day.setDate(day.getDate() - back);
+      return getDayKey(day);
+    }
+    case "biweekly": {
+      const anchor = new Date(settings.anchorDate);
+      const start = new Date(
+        anchor.getFullYear(),
+        anchor.getMonth(),
+        anchor.getDate()
+      );
+      start.setDate(
+        start.getDate() + Math.floor(daysBetween(start, day) / 14) * 14
+      );
+      return getDayKey(start);
+    }
+    case "custom": {
+      const startDay = settings.monthStartDay || 1;
+      const monthOffset = day.getDate() >= startDay ? 0 : -1;
+      return getDayKey(
+        new Date(day.getFullYear(), day.getMonth() + monthOffset, startDay)
+      );
+    }
+    default:
+      return getMonthKey(day);
+  }
+};
+
+// Date range covered by a period
+const getPeriodRange = (key, type = "monthly") => {
+  if (type === "monthly") return getMonthRange(key);
+
+  const startDate = parseDayKey(key);
+  const endDate = new Date(startDate);
+  if (type === "custom") {
+    endDate.setMonth(endDate.getMonth() + 1);
+  } else {
+    endDate.setDate(endDate.getDate() + PERIOD_DAYS[type]);
+  }
+  endDate.setTime(endDate.getTime() - 1);
+
+  return { startDate, endDate };
+};
+
+// Key of the period `offset` periods away (negative = earlier)
+const shiftPeriod = (key, offset, type = "monthly") => {
+  if (type === "monthly") {
+    const [year, monthIndex] = key.split("-").map(Number);
+    return getMonthKey(new Date(year, monthIndex - 1 + offset, 1));
+  }
+
+  const date = parseDayKey(key);
+  if (type === "custom") {
+    date.setMonth(date.getMonth() + offset);
+  } else {
+    date.setDate(date.getDate() + offset * PERIOD_DAYS[type]);
+  }
+  return getDayKey(date);
+};
+
+// Days left in a period after `now` (0 on its last day)
+const getRemainingDays = (key, type, now = new Date()) =>
+  Math.max(daysBetween(now, getPeriodRange(key, type).endDate), 0);
+
+module.exports = {
+  PERIOD_TYPES,
+  PERIOD_ADJECTIVES,
+  PERIOD_NOUNS,
+  getMonthKey,
+  getMonthRange,
+  getDayKey,
+  getPeriodKey,
+  getPeriodRange,
+  shiftPeriod,
+  getRemainingDays,
+};
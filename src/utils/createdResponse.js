@@ -0,0 +1,24 @@
+const { ApiResponse } = require("./ApiResponse");
+
+// Send a created transaction, flagging likely duplicates. The transaction
+// is saved either way; the client can review and merge.
+const sendCreated = (res, transaction, duplicates, message) => {
+  if (duplicates.length > 0) {
+    return res.status(201).json(
+      new ApiResponse(
+        201,
+        {
+          ...transaction.toObject(),
+          possibleDuplicates: duplicates.map((d) => d._id),
+        },
+        `${message}. Warning: it looks like a duplicate of an existing transaction`
+      )
+    );
+  }
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, transaction, `${message} successfully`));
+};
+
+module.exports = { sendCreated };
@@ -0,0 +1,42 @@
+// Amounts are aggregated in the user's base currency. Documents store the
+// converted value in `baseAmount`; documents without one (recorded before
+// multi-currency support) are already in the base currency.
+
+// Aggregation expression for a document's amount in base currency
+const baseAmountExpr = { $ifNull: ["$baseAmount", "$amount"] };
+
+// Amount of a transaction/bill in base currency
+const getBaseAmount = (doc) =>
+  doc.baseAmount !== undefined && doc.baseAmount !== null
+    ? doc.baseAmount
+    : doc.amount;
+
+// Types counted as spending. Refunds and reimbursements reduce the spend
+// of the expense they belong to instead of counting as income.
+const SPEND_TYPES = ["expense", "refund"];
+
+// Aggregation expression for a document's spend in base currency
+// (negative for refunds); use with a SPEND_TYPES match
+const spendAmountExpr = {
+  $cond: [
+    { $eq: ["$type", "refund"] },
+    { $multiply: [baseAmountExpr, -1] },
+    baseAmountExpr,
+  ],
+};
+
+// Spend of a transaction in base currency (negative for refunds)
+const getSpendAmount = (txn) =>
+  txn.type === "refund" ? -getBaseAmount(txn) : getBaseAmount(txn);
+
+// Round to cents so converted totals don't drift
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+module.exports = {
+  baseAmountExpr,
+  getBaseAmount,
+  SPEND_TYPES,
+  spendAmountExpr,
+  getSpendAmount,
+  roundAmount,
+};
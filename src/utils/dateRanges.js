@@ -0,0 +1,74 @@
+// Relative date ranges resolved against "now" each time they are used, so
+// a saved "last 30 days" always means the 30 days before today
+const DATE_PRESETS = [
+  "today",
+  "last_7_days",
+  "last_30_days",
+  "last_90_days",
+  "this_month",
+  "last_month",
+  "this_quarter",
+  "last_quarter",
+  "this_year",
+  "last_year",
+];
+
+const startOfDay = (date) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const endOfDay = (date) =>
+  new Date(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate(),
+    23,
+    59,
+    59,
+    999
+  );
+
+// Months [from, to) as a range; month indexes may run outside 0-11
+const monthsRange = (year, fromMonth, toMonth) => ({
+  startDate: new Date(year, fromMonth, 1),
+  endDate: new Date(year, toMonth, 0, 23, 59, 59, 999),
+});
+
+// { startDate, endDate } of a preset
+const resolveDatePreset = (preset, now = new Date()) => {
+  const year = now.getFullYear();
+  const month = now.getMonth();
+  const quarter = Math.floor(month / 3) * 3;
+
+  const lastDays = (days) => {
+    const start = new Date(now);
+    start.setDate(start.getDate() - (days - 1));
+    return { startDate: startOfDay(start), endDate: endOfDay(now) };
+  };
+
+  switch (preset) {
+    case "today":
+      return lastDays(1);
+    case "last_7_days":
+      return lastDays(7);
+    case "last_30_days":
+      return lastDays(30);
+    case "last_90_days":
+      return lastDays(90);
+    case "this_month":
+      return monthsRange(year, month, month + 1);
+    case "last_month":
+      return monthsRange(year, month - 1, month);
+    case "this_quarter":
+      return monthsRange(year, quarter, quarter + 3);
+    case "last_quarter":
+      return monthsRange(year, quarter - 3, quarter);
+    case "this_year":
+      return monthsRange(year, 0, 12);
+    case "last_year":
+      return monthsRange(year - 1, 0, 12);
+    default:
+      return null;
+  }
+};
+
+module.exports = { DATE_PRESETS, resolveDatePreset };
@@ -0,0 +1,98 @@
+// Rule note patterns are user-supplied regular expressions run on the
+// shared event loop, so patterns that can backtrack exponentially (ReDoS)
+// are rejected and the note tested is capped.
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_NOTE_LENGTH = 500;
+
+// Does a quantifier at the start of `text` repeat more than once? *, +,
+// {n,} and {n,m} or {n} with more than one repetition do; ? and {0,1} don't.
+const repeatsMoreThanOnce = (text) => {
+  const match = text.match(/^(?:[*+]|\{(\d+)(?:(,)(\d*))?\})/);
+  if (!match) return false;
+  if (match[1] === undefined) return true;
+
+  const max = match[2] ? match[3] : match[1];
+  return max === "" || Number(max) > 1;
+};
+
+// Why a pattern is unsafe to run, or null. Rejects backreferences and
+// groups repeated more than once (*, +, {n,m}) that themselves contain a
+// repetition or an alternation, e.g. (a+)+, (a+){1,1000} or (a|ab)*.
+const getPatternProblem = (pattern) => {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `Note pattern must be at most ${MAX_PATTERN_LENGTH} characters`;
+  }
+
+  // Each open group: does it contain a repetition or an alternation?
+  const groups = [{ repeats: false, alternates: false }];
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const current = groups[groups.length - 1];
+
+    if (char === "\\") {
+      if (/[1-9k]/.test(pattern[i + 1] || "")) {
+        return "Note pattern cannot use backreferences";
+      }
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (char === "]") inClass = false;
+      continue;
+    }
+
+    if (char === "[") {
+      inClass = true;
+    } else if (char === "(") {
+      groups.push({ repeats: false, alternates: false });
+    } else if (char === ")" && groups.length > 1) {
+      const group = groups.pop();
+      const repeated = repeatsMoreThanOnce(pattern.slice(i + 1));
+
+      if (repeated && (group.repeats || group.alternates)) {
+        return "Note pattern cannot repeat a group that contains a repetition or alternation";
+      }
+      const parent = groups[groups.length - 1];
+      parent.repeats = parent.repeats || group.repeats || repeated;
+    } else if (char === "|") {
+      current.alternates = true;
+    } else if (char === "*" || char === "+" || char === "{") {
+      current.repeats = true;
+    }
+  }
+
+  return null;
+};
+
+// Compiled patterns, so rules aren't recompiled for every transaction
+const compiled = new Map();
+
+// Does a note match a rule pattern (case-insensitive)? Unsafe or invalid
+// patterns (e.g. saved before the check existed) never match.
+const matchesNotePattern = (pattern, note) => {
+  if (!compiled.has(pattern)) {
+    let regex = null;
+    if (!getPatternProblem(pattern)) {
+      try {
+        regex = new RegExp(pattern, "i");
+      } catch (error) {
+        regex = null;
+      }
+    }
+    if (compiled.size >= 1000) compiled.clear();
+    compiled.set(pattern, regex);
+  }
+
+  const regex = compiled.get(pattern);
+  return Boolean(regex) && regex.test(note.slice(0, MAX_NOTE_LENGTH));
+};
+
+module.exports = {
+  MAX_PATTERN_LENGTH,
+  MAX_NOTE_LENGTH,
+  getPatternProblem,
+  matchesNotePattern,
+};
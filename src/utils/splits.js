@@ -0,0 +1,76 @@
+const { getBaseAmount, roundAmount } = require("./currency");
+
+// Helpers for counting split transactions per category. A transaction with
+// splits counts each split under its own category; otherwise the whole
+// amount counts under the transaction's category. Split amounts are in the
+// transaction's currency and are scaled by its exchange rate. Refunds give
+// negative parts so they reduce their categories' spend.
+
+const hasSplits = (txn) => Array.isArray(txn.splits) && txn.splits.length > 0;
+
+// Category parts of a single transaction document
+const getCategoryParts = (txn) => {
+  const sign = txn.type === "refund" ? -1 : 1;
+
+  return hasSplits(txn)
+    ? txn.splits.map((s) => ({
+        category: s.category,
+        amount: sign * s.amount,
+        baseAmount: sign * roundAmount(s.amount * (txn.exchangeRate || 1)),
+        note: s.note,
+      }))
+    : [
+        {
+          category: txn.category,
+          amount: sign * txn.amount,
+          baseAmount: sign * getBaseAmount(txn),
+          note: txn.note,
+        },
+      ];
+};
+
+// Sum base currency amounts per category across transactions
+const sumByCategory = (transactions) => {
+  const totals = {};
+  transactions.forEach((txn) => {
+    getCategoryParts(txn).forEach((part) => {
+      totals[part.category] = (totals[part.category] || 0) + part.baseAmount;
+    });
+  });
+  return totals;
+};
+
+// Aggregation stages that expand each transaction into one document per
+// category part, with `category` set to the part's category and `amount`
+// to the part's value in base currency (negative for refunds).
+// Place before any `$group: { _id: "$category" }` stage.
+const categoryPartsStages = () => [
+  {
+    $addFields: {
+      parts: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ["$splits", []] } }, 0] },
+          "$splits",
+          [{ category: "$category", amount: "$amount" }],
+        ],
+      },
+      rate: { $ifNull: ["$exchangeRate", 1] },
+      sign: { $cond: [{ $eq: ["$type", "refund"] }, -1, 1] },
+    },
+  },
+  { $unwind: "$parts" },
+  {
+    $addFields: {
+      category: "$parts.category",
+      amount: { $multiply: ["$parts.amount", "$rate", "$sign"] },
+    },
+  },
+  { $project: { parts: 0, rate: 0, sign: 0 } },
+];
+
+module.exports = {
+  hasSplits,
+  getCategoryParts,
+  sumByCategory,
+  categoryPartsStages,
+};
@@ -0,0 +1,46 @@
+const { getBaseAmount, getSpendAmount } = require("./currency");
+
+// Clean tags from a request: accepts an array or a comma-separated string.
+// Tags are trimmed, lowercased and de-duplicated.
+const normalizeTags = (tags) => {
+  if (tags === undefined || tags === null) return [];
+
+  const list = Array.isArray(tags) ? tags : String(tags).split(",");
+  const cleaned = list
+    .map((tag) => String(tag).trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set(cleaned)];
+};
+
+// Mongo filter for a tag query: "any" (default) matches transactions with at
+// least one of the tags, "all" only those carrying every tag
+const buildTagFilter = (tags, match = "any") => {
+  const list = normalizeTags(tags);
+  if (list.length === 0) return null;
+
+  return { tags: match === "all" ? { $all: list } : { $in: list } };
+};
+
+// Per-tag counts and income/expense totals (base currency, expenses less
+// refunds), largest first
+const sumByTag = (transactions) => {
+  const totals = {};
+
+  transactions.forEach((txn) => {
+    (txn.tags || []).forEach((tag) => {
+      totals[tag] = totals[tag] || { tag, count: 0, income: 0, expenses: 0 };
+      totals[tag].count += 1;
+      if (txn.type === "income") totals[tag].income += getBaseAmount(txn);
+      if (txn.type === "expense" || txn.type === "refund") {
+        totals[tag].expenses += getSpendAmount(txn);
+      }
+    });
+  });
+
+  return Object.values(totals).sort(
+    (a, b) => b.expenses + b.income - (a.expenses + a.income)
+  );
+};
+
+module.exports = { normalizeTags, buildTagFilter, sumByTag };
@@ -0,0 +1,127 @@
+const mongoose = require("mongoose");
+const { ApiError } = require("./ApiError");
+const { buildTagFilter } = require("./tags");
+
+// Columns the transaction list can be sorted by
+const SORT_FIELDS = ["date", "amount", "category"];
+
+// Build the Mongo query for the transaction list filters (used by
+// getTransactions and by bulk operations that select "what the list shows")
+const buildTransactionQuery = (userId, params = {}) => {
+  const {
+    search, // full-text search on note and categories
+    type, // 'income', 'expense' or 'transfer'
+    category,
+    account, // matches either side of a transfer
+    payee,
+    tags, // comma-separated
+    tagMatch, // 'any' (default) or 'all'
+    startDate,
+    endDate,
+    minAmount,
+    maxAmount,
+    mood,
+    status, // 'pending', 'cleared' or 'reconciled'
+  } = params;
+
+  const query = { user: userId };
+
+  // Apply filters
+  if (type) query.type = type;
+  if (mood) query.mood = mood;
+  if (payee) query.payee = payee;
+  // Transactions from before statuses existed count as pending
+  if (status) {
+    query.status = status === "pending" ? { $in: [null, "pending"] } : status;
+  }
+  if (category) {
+    // Case-insensitive category search (parent category or any split)
+    const categoryRegex = { $regex: new RegExp(`^${category}$`, "i") };
+    query.$and = [
+      {
+        $or: [
+          { category: categoryRegex },
+          { "splits.category": categoryRegex },
+        ],
+      },
+    ];
+  }
+  if (account) query.$or = [{ account }, { toAccount: account }];
+  const tagFilter = buildTagFilter(tags, tagMatch);
+  if (tagFilter) Object.assign(query, tagFilter);
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    query.amount = {};
+    if (minAmount !== undefined) query.amount.$gte = Number(minAmount);
+    if (maxAmount !== undefined) query.amount.$lte = Number(maxAmount);
+  }
+
+  // Search Filter (text index on note and categories; matches whole words,
+  // see applySearchFallback for partial words)
+  if (search) query.$text = { $search: search };
+
+  return query;
+};
+
+// Sort spec for the list: sortBy (date|amount|category) and order
+// (asc|desc), newest first by default. _id breaks ties so cursors are stable.
+const buildSort = ({ sortBy = "date", order } = {}) => {
+  if (!SORT_FIELDS.includes(sortBy)) {
+    throw new ApiError(
+      400,
+      `Sort by must be one of: ${SORT_FIELDS.join(", ")}`
+    );
+  }
+  const direction = order === "asc" ? 1 : -1;
+  return { [sortBy]: direction, _id: direction };
+};
+
+// Opaque cursor pointing after `txn` in the given sort
+const encodeCursor = (txn, sort) => {
+  const [field] = Object.keys(sort);
+  return Buffer.from(
+    JSON.stringify({ field, value: txn[field], id: txn._id })
+  ).toString("base64url");
+};
+
+// Restrict a query to rows after a cursor from encodeCursor
+const applyCursor = (query, cursor, sort) => {
+  const [field] = Object.keys(sort);
+
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    throw new ApiError(400, "Invalid cursor");
+  }
+  if (
+    !position ||
+    position.field !== field ||
+    !mongoose.isValidObjectId(position.id)
+  ) {
+    throw new ApiError(400, "Invalid cursor (sort changed?)");
+  }
+
+  const value = field === "date" ? new Date(position.value) : position.value;
+  const id = new mongoose.Types.ObjectId(String(position.id));
+  const op = sort[field] === 1 ? "$gt" : "$lt";
+
+  query.$and = query.$and || [];
+  query.$and.push({
+    $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }],
+  });
+
+  return query;
+};
+
+module.exports = {
+  SORT_FIELDS,
+  buildTransactionQuery,
+  buildSort,
+  encodeCursor,
+  applyCursor,
+};
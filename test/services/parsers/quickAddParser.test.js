@@ -0,0 +1,90 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseQuickAdd,
+} = require("../../../src/services/parsers/quickAddParser");
+
+// Wednesday 13 May 2026
+const now = new Date(2026, 4, 13, 15, 30);
+const categories = ["Food", "Travel", "Salary"];
+
+const parse = (text, options = {}) =>
+  parseQuickAdd(text, { categories, now, ...options });
+
+test("reads amount, date, mood and category", () => {
+  const { draft, missing } = parse("coffee 4.50 yesterday happy");
+
+  assert.equal(draft.amount, 4.5);
+  assert.deepEqual(draft.date, new Date(2026, 4, 12));
+  assert.equal(draft.mood, "happy");
+  assert.equal(draft.category, "Food");
+  assert.equal(draft.type, "expense");
+  assert.equal(draft.note, "coffee");
+  assert.deepEqual(missing, []);
+});
+
+test("a decimal amount is not read as a date", () => {
+  const { draft } = parse("coffee 4.10 yesterday");
+
+  assert.equal(draft.amount, 4.1);
+  assert.deepEqual(draft.date, new Date(2026, 4, 12));
+});
+
+test("commas before three digits separate thousands", () => {
+  assert.equal(parse("taxi 1,200").draft.amount, 1200);
+  assert.equal(parse("salary 5,000.00").draft.amount, 5000);
+  assert.equal(parse("coffee 1,20").draft.amount, 1.2);
+});
+
+test("words that start like a month are not dates", () => {
+  const { draft } = parse("dinner at mario 30");
+
+  assert.equal(draft.amount, 30);
+  assert.deepEqual(draft.date, new Date(2026, 4, 13));
+  assert.equal(draft.note, "dinner at mario");
+});
+
+test("reads month names and abbreviations", () => {
+  assert.deepEqual(
+    parse("lunch 12 march 10").draft.date,
+    new Date(2026, 2, 12)
+  );
+  assert.deepEqual(parse("lunch sept 3 10").draft.date, new Date(2025, 8, 3));
+  assert.deepEqual(parse("lunch 3 jan 10").draft.date, new Date(2026, 0, 3));
+});
+
+test("reads numeric and relative dates", () => {
+  assert.deepEqual(parse("bus 2 12/03").draft.date, new Date(2026, 2, 12));
+  assert.deepEqual(
+    parse("bus 2 03/12", { dateFormat: "MM/DD/YYYY" }).draft.date,
+    new Date(2026, 2, 12)
+  );
+  assert.deepEqual(parse("bus 2 2026-01-05").draft.date, new Date(2026, 0, 5));
+  assert.deepEqual(parse("bus 2 3 days ago").draft.date, new Date(2026, 4, 10));
+  assert.deepEqual(
+    parse("bus 2 last monday").draft.date,
+    new Date(2026, 4, 11)
+  );
+});
+
+test("reads currency symbols and codes", () => {
+  assert.equal(parse("lunch €12").draft.currency, "EUR");
+  assert.equal(parse("lunch 12 gbp").draft.currency, "GBP");
+  assert.equal(parse("lunch 1,500 pkr").draft.amount, 1500);
+});
+
+test("income hints and a plus sign make income", () => {
+  const salary = parse("salary 5000").draft;
+  assert.equal(salary.type, "income");
+  assert.equal(salary.category, "Salary");
+
+  assert.equal(parse("+500 refund from shop").draft.type, "income");
+});
+
+test("lists the fields it could not read", () => {
+  const { draft, missing } = parse("something nice");
+
+  assert.equal(draft.amount, undefined);
+  assert.deepEqual(missing, ["amount", "category"]);
+  assert.equal(draft.note, "something nice");
+});
@@ -0,0 +1,58 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseOFX } = require("../../../src/services/parsers/ofxParser");
+const { parseQIF } = require("../../../src/services/parsers/qifParser");
+
+const ofx = (transactions) => `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>USD
+<BANKACCTFROM><ACCTID>123</BANKACCTFROM>
+<BANKTRANLIST>
+${transactions
+  .map(
+    ([type, amount, id]) =>
+      `<STMTTRN><TRNTYPE>${type}<DTPOSTED>20260312<TRNAMT>${amount}<FITID>${id}<NAME>Shop</STMTTRN>`
+  )
+  .join("\n")}
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+test("OFX debit types are money going out whatever the sign", () => {
+  const entries = parseOFX(
+    ofx([
+      ["DEBIT", "12.50", "1"],
+      ["FEE", "3", "2"],
+    ])
+  );
+
+  assert.deepEqual(
+    entries.map((e) => e.amount),
+    [-12.5, -3]
+  );
+  assert.equal(entries[0].externalId, "ofx:123:1");
+});
+
+test("OFX POS, ATM and CASH keep the sign of the amount", () => {
+  const entries = parseOFX(
+    ofx([
+      ["POS", "-20", "1"],
+      ["POS", "15", "2"],
+      ["ATM", "100", "3"],
+      ["CASH", "-40", "4"],
+    ])
+  );
+
+  assert.deepEqual(
+    entries.map((e) => e.amount),
+    [-20, 15, 100, -40]
+  );
+});
+
+test("QIF ids are scoped to the target account", () => {
+  const qif = "!Type:Bank\nD03/12/2026\nT-12.50\nPShop\n^\n";
+  const [first] = parseQIF(qif, { accountId: "a1" });
+  const [second] = parseQIF(qif, { accountId: "a2" });
+  const [again] = parseQIF(qif, { accountId: "a1" });
+
+  assert.notEqual(first.externalId, second.externalId);
+  assert.equal(first.externalId, again.externalId);
+  assert.equal(first.amount, -12.5);
+});
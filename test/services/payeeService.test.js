@@ -0,0 +1,26 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizePayeeName } = require("../../src/services/payeeService");
+
+test("drops processor prefixes, numbers and bank noise", () => {
+  assert.equal(normalizePayeeName("UBER *TRIP 1234"), "uber");
+  assert.equal(normalizePayeeName("SQ *Blue Bottle"), "blue bottle");
+  assert.equal(normalizePayeeName("POS PURCHASE Amazon.com"), "amazon");
+  assert.equal(normalizePayeeName(""), "");
+});
+
+test("folds accents of Latin names", () => {
+  assert.equal(normalizePayeeName("Café Nero"), "cafe nero");
+  assert.equal(normalizePayeeName("Müller GmbH"), "muller gmbh");
+  assert.equal(
+    normalizePayeeName("CAFÉ NERO"),
+    normalizePayeeName("Cafe Nero")
+  );
+});
+
+test("keeps names in other scripts", () => {
+  assert.equal(normalizePayeeName("یوٹیلیٹی اسٹور"), "یوٹیلیٹی اسٹور");
+  assert.equal(normalizePayeeName("مطعم الشام 42"), "مطعم الشام");
+  assert.equal(normalizePayeeName("दूध वाला"), "दूध वाला");
+  assert.equal(normalizePayeeName("Иванов"), "иванов");
+});
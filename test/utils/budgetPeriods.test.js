@@ -0,0 +1,88 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getMonthKey,
+  getMonthRange,
+  getDayKey,
+  getPeriodKey,
+  getPeriodRange,
+  shiftPeriod,
+  getRemainingDays,
+} = require("../../src/utils/budgetPeriods");
+
+// Wednesday 13 May 2026
+const date = new Date(2026, 4, 13, 15, 30);
+
+test("month and day keys", () => {
+  assert.equal(getMonthKey(date), "2026-05");
+  assert.equal(getDayKey(date), "2026-05-13");
+  assert.deepEqual(getMonthRange("2026-02"), {
+    startDate: new Date(2026, 1, 1),
+    endDate: new Date(2026, 1, 28, 23, 59, 59, 999),
+  });
+});
+
+test("monthly periods are calendar months", () => {
+  assert.equal(getPeriodKey(date), "2026-05");
+  assert.equal(getPeriodKey(date, { type: "monthly" }), "2026-05");
+  assert.deepEqual(getPeriodRange("2026-05"), getMonthRange("2026-05"));
+});
+
+test("weekly periods start on the configured weekday", () => {
+  assert.equal(getPeriodKey(date, { type: "weekly" }), "2026-05-11");
+  assert.equal(
+    getPeriodKey(date, { type: "weekly", weekStartDay: 0 }),
+    "2026-05-10"
+  );
+  assert.equal(
+    getPeriodKey(new Date(2026, 4, 11), { type: "weekly", weekStartDay: 1 }),
+    "2026-05-11"
+  );
+  assert.deepEqual(getPeriodRange("2026-05-11", "weekly"), {
+    startDate: new Date(2026, 4, 11),
+    endDate: new Date(2026, 4, 17, 23, 59, 59, 999),
+  });
+});
+
+test("bi-weekly periods are counted from the anchor date", () => {
+  const settings = { type: "biweekly", anchorDate: new Date(2026, 0, 2) };
+
+  assert.equal(getPeriodKey(new Date(2026, 0, 15), settings), "2026-01-02");
+  assert.equal(getPeriodKey(new Date(2026, 0, 16), settings), "2026-01-16");
+  // Dates before the anchor fall in earlier periods
+  assert.equal(getPeriodKey(new Date(2025, 11, 20), settings), "2025-12-19");
+  assert.deepEqual(getPeriodRange("2026-01-16", "biweekly"), {
+    startDate: new Date(2026, 0, 16),
+    endDate: new Date(2026, 0, 29, 23, 59, 59, 999),
+  });
+});
+
+test("custom periods start on the configured day of the month", () => {
+  const settings = { type: "custom", monthStartDay: 25 };
+
+  assert.equal(getPeriodKey(date, settings), "2026-04-25");
+  assert.equal(getPeriodKey(new Date(2026, 4, 25), settings), "2026-05-25");
+  assert.equal(getPeriodKey(new Date(2026, 0, 3), settings), "2025-12-25");
+  assert.deepEqual(getPeriodRange("2026-04-25", "custom"), {
+    startDate: new Date(2026, 3, 25),
+    endDate: new Date(2026, 4, 24, 23, 59, 59, 999),
+  });
+});
+
+test("periods can be shifted forwards and backwards", () => {
+  assert.equal(shiftPeriod("2026-01", -1), "2025-12");
+  assert.equal(shiftPeriod("2026-12", 1), "2027-01");
+  assert.equal(shiftPeriod("2026-05-11", -2, "weekly"), "2026-04-27");
+  assert.equal(shiftPeriod("2026-01-16", 1, "biweekly"), "2026-01-30");
+  assert.equal(shiftPeriod("2026-12-25", 1, "custom"), "2027-01-25");
+});
+
+test("remaining days count the days after today", () => {
+  assert.equal(getRemainingDays("2026-05", "monthly", date), 18);
+  assert.equal(getRemainingDays("2026-05-11", "weekly", date), 4);
+  assert.equal(
+    getRemainingDays("2026-05", "monthly", new Date(2026, 4, 31)),
+    0
+  );
+  assert.equal(getRemainingDays("2026-04", "monthly", date), 0);
+});
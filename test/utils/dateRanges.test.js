@@ -0,0 +1,93 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DATE_PRESETS,
+  resolveDatePreset,
+} = require("../../src/utils/dateRanges");
+
+// Wednesday 13 May 2026, mid-afternoon
+const now = new Date(2026, 4, 13, 15, 30);
+
+const assertRange = (range, startDate, endDate) => {
+  assert.deepEqual(range.startDate, startDate);
+  assert.deepEqual(range.endDate, endDate);
+};
+
+test("today covers the whole current day", () => {
+  assertRange(
+    resolveDatePreset("today", now),
+    new Date(2026, 4, 13),
+    new Date(2026, 4, 13, 23, 59, 59, 999)
+  );
+});
+
+test("last N days include today", () => {
+  assertRange(
+    resolveDatePreset("last_7_days", now),
+    new Date(2026, 4, 7),
+    new Date(2026, 4, 13, 23, 59, 59, 999)
+  );
+  assert.deepEqual(
+    resolveDatePreset("last_30_days", now).startDate,
+    new Date(2026, 3, 14)
+  );
+  assert.deepEqual(
+    resolveDatePreset("last_90_days", now).startDate,
+    new Date(2026, 1, 13)
+  );
+});
+
+test("month presets cover calendar months", () => {
+  assertRange(
+    resolveDatePreset("this_month", now),
+    new Date(2026, 4, 1),
+    new Date(2026, 4, 31, 23, 59, 59, 999)
+  );
+  assertRange(
+    resolveDatePreset("last_month", now),
+    new Date(2026, 3, 1),
+    new Date(2026, 3, 30, 23, 59, 59, 999)
+  );
+});
+
+test("last month in January is December of the previous year", () => {
+  assertRange(
+    resolveDatePreset("last_month", new Date(2026, 0, 10)),
+    new Date(2025, 11, 1),
+    new Date(2025, 11, 31, 23, 59, 59, 999)
+  );
+});
+
+test("quarter presets cover calendar quarters", () => {
+  assertRange(
+    resolveDatePreset("this_quarter", now),
+    new Date(2026, 3, 1),
+    new Date(2026, 5, 30, 23, 59, 59, 999)
+  );
+  assertRange(
+    resolveDatePreset("last_quarter", new Date(2026, 1, 10)),
+    new Date(2025, 9, 1),
+    new Date(2025, 11, 31, 23, 59, 59, 999)
+  );
+});
+
+test("year presets cover calendar years", () => {
+  assertRange(
+    resolveDatePreset("this_year", now),
+    new Date(2026, 0, 1),
+    new Date(2026, 11, 31, 23, 59, 59, 999)
+  );
+  assertRange(
+    resolveDatePreset("last_year", now),
+    new Date(2025, 0, 1),
+    new Date(2025, 11, 31, 23, 59, 59, 999)
+  );
+});
+
+test("every preset resolves and unknown presets return null", () => {
+  DATE_PRESETS.forEach((preset) => {
+    const range = resolveDatePreset(preset, now);
+    assert.ok(range.startDate <= range.endDate, preset);
+  });
+  assert.equal(resolveDatePreset("next_week", now), null);
+});
@@ -0,0 +1,49 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MAX_PATTERN_LENGTH,
+  getPatternProblem,
+  matchesNotePattern,
+} = require("../../src/utils/notePattern");
+
+test("accepts ordinary patterns", () => {
+  [
+    "^uber",
+    "coffee|tea",
+    "amazon\\s+prime",
+    "(grocery|groceries) store",
+    "(ab){2}",
+    "(a+)?",
+    "(a+){0,1}",
+    "[(a+)]+",
+  ].forEach((pattern) =>
+    assert.equal(getPatternProblem(pattern), null, pattern)
+  );
+});
+
+test("rejects groups with a repetition or alternation repeated without bound", () => {
+  ["(a+)+", "(a*)*", "(a|ab)*", "(a+){2,}", "((ab)+x)+"].forEach((pattern) =>
+    assert.notEqual(getPatternProblem(pattern), null, pattern)
+  );
+});
+
+test("rejects nested repetition under bounded quantifiers", () => {
+  ["(a+){1,1000}$", "(.*a){12}$", "(a|b){2,5}"].forEach((pattern) =>
+    assert.notEqual(getPatternProblem(pattern), null, pattern)
+  );
+});
+
+test("rejects backreferences and long patterns", () => {
+  assert.notEqual(getPatternProblem("(a)\\1"), null);
+  assert.notEqual(getPatternProblem("a".repeat(MAX_PATTERN_LENGTH + 1)), null);
+});
+
+test("matches case-insensitively and never runs unsafe patterns", () => {
+  assert.equal(matchesNotePattern("^uber", "Uber trip"), true);
+  assert.equal(matchesNotePattern("^uber", "my uber"), false);
+  assert.equal(
+    matchesNotePattern("(a+){1,1000}$", `${"a".repeat(26)}!`),
+    false
+  );
+  assert.equal(matchesNotePattern("(", "("), false);
+});